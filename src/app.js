@@ -1,11 +1,19 @@
 const express = require('express');
 const cors = require('cors');
-const path = require('path');
 const authRoutes = require('./routes/auth.routes');
 const chatRoutes = require('./routes/chat.routes');
+const mediaRoutes = require('./routes/media.routes');
+const signMediaMiddleware = require('./middleware/signMedia.middleware');
 
 const app = express();
 
+// Behind a proxy or load balancer req.ip must come from X-Forwarded-For, or every
+// client shares one per-IP rate limit. TRUST_PROXY is a hop count or true/false.
+if (process.env.TRUST_PROXY) {
+    const hops = parseInt(process.env.TRUST_PROXY, 10);
+    app.set('trust proxy', isNaN(hops) ? process.env.TRUST_PROXY === 'true' : hops);
+}
+
 const corsOptions = {
     origin: ["https://mychat-frontend.vercel.app", "http://localhost:5173", "http://127.0.0.1:5173", "http://localhost:5175", "http://127.0.0.1:5175"],
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
@@ -20,9 +28,10 @@ app.use(cors(corsOptions));
 app.options('*', cors(corsOptions));
 
 app.use(express.json());
+app.use(signMediaMiddleware);
 
-// Serve uploaded files
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
+// Serve uploaded files from the configured storage backend
+app.use('/uploads', mediaRoutes);
 
 // Routes
 app.use('/auth', authRoutes);
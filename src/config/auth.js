@@ -0,0 +1,10 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+module.exports = {
+    // Access tokens are short-lived; clients renew them with their refresh token
+    ACCESS_TOKEN_TTL_SECONDS: parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || 15 * 60,
+    // A session ends when its refresh token goes unused this long
+    REFRESH_TOKEN_TTL_MS: (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30) * 24 * 60 * 60 * 1000
+};
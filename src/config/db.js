@@ -1,5 +1,13 @@
 const mongoose = require('mongoose');
 
+// Indexes the models no longer define. Pagination sorts on (date, _id), so the
+// date-only indexes were replaced by ones ending in _id. Mongoose builds new
+// indexes but never drops old ones, which would leave both to be maintained on every write.
+const REPLACED_INDEXES = {
+  messages: ['chatId_1_createdAt_-1', 'chatId_1_type_1_createdAt_-1'],
+  chats: ['updatedAt_-1']
+};
+
 const connectDB = async () => {
   try {
     const conn = await mongoose.connect(process.env.MONGO_URI);
@@ -8,6 +16,35 @@ const connectDB = async () => {
     console.error(`Error: ${error.message}`);
     process.exit(1);
   }
+
+  await dropReplacedIndexes();
+};
+
+// Drop replaced indexes once their successors exist
+const dropReplacedIndexes = async () => {
+  const Message = require('../models/Message');
+  const Chat = require('../models/Chat');
+
+  try {
+    await Promise.all([Message.init(), Chat.init()]);
+  } catch (error) {
+    console.error('Index Build Error:', error.message);
+    return;
+  }
+
+  for (const [collection, names] of Object.entries(REPLACED_INDEXES)) {
+    for (const name of names) {
+      try {
+        await mongoose.connection.db.collection(collection).dropIndex(name);
+        console.log(`Dropped replaced index ${collection}.${name}`);
+      } catch (error) {
+        // Already gone, or the collection does not exist yet
+        if (!['IndexNotFound', 'NamespaceNotFound'].includes(error.codeName)) {
+          console.error('Drop Index Error:', error.message);
+        }
+      }
+    }
+  }
 };
 
 module.exports = connectDB;
@@ -0,0 +1,16 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+module.exports = {
+    // Longest side of generated thumbnails and poster frames, in pixels
+    THUMBNAIL_SIZE: 320,
+    // Longest side of the blurred placeholder embedded in message payloads
+    PLACEHOLDER_SIZE: 16,
+    // ffprobe/ffmpeg read audio/video metadata; without them those fields stay empty
+    FFPROBE_PATH: process.env.FFPROBE_PATH || 'ffprobe',
+    FFMPEG_PATH: process.env.FFMPEG_PATH || 'ffmpeg',
+    MEDIA_TOOL_TIMEOUT_MS: 30 * 1000,
+    // PDFs are read into memory to count their pages; larger ones are left without a count
+    PDF_PAGE_COUNT_MAX_BYTES: 50 * 1024 * 1024
+};
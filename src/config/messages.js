@@ -0,0 +1,38 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// How long after sending a message its sender may still edit it
+const editWindowMinutes = parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES, 10) || 15;
+
+// Disappearing message timers a chat can use, in seconds (0 = off)
+const DISAPPEARING_TIMERS = {
+    off: 0,
+    '24h': 24 * 60 * 60,
+    '7d': 7 * 24 * 60 * 60,
+    '90d': 90 * 24 * 60 * 60
+};
+
+// How long a live location can be shared for, in seconds
+const LIVE_LOCATION_DURATIONS = {
+    '15m': 15 * 60,
+    '1h': 60 * 60,
+    '8h': 8 * 60 * 60
+};
+
+module.exports = {
+    EDIT_WINDOW_MS: editWindowMinutes * 60 * 1000,
+    DISAPPEARING_TIMERS,
+    LIVE_LOCATION_DURATIONS,
+    // Contact cards one contact message can hold
+    MAX_CONTACTS_PER_MESSAGE: 10,
+    // "Message this user" link added to shared contacts that are registered; {userId} is
+    // replaced. Clients open the chat with POST /chat/start
+    MESSAGE_LINK_TEMPLATE: process.env.MESSAGE_LINK_TEMPLATE || '/chat/{userId}',
+    // How often expired messages are swept
+    EXPIRY_SWEEP_INTERVAL_MS: (parseInt(process.env.EXPIRY_SWEEP_INTERVAL_SECONDS, 10) || 60) * 1000,
+    // How often due scheduled messages are dispatched
+    SCHEDULER_INTERVAL_MS: (parseInt(process.env.SCHEDULER_INTERVAL_SECONDS, 10) || 15) * 1000,
+    // Messages can be scheduled at most this far ahead
+    MAX_SCHEDULE_AHEAD_MS: 365 * 24 * 60 * 60 * 1000
+};
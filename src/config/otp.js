@@ -0,0 +1,33 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const minutes = (name, fallback) => (parseInt(process.env[name], 10) || fallback) * 60 * 1000;
+
+// Test mode accepts a fixed code and sends nothing. It is only ever enabled
+// explicitly through the environment, and never in production.
+const testModeRequested = process.env.OTP_TEST_MODE === 'true';
+const isProduction = process.env.NODE_ENV === 'production';
+
+if (testModeRequested && isProduction) {
+    console.warn('[OTP] OTP_TEST_MODE is ignored in production');
+}
+
+module.exports = {
+    // Which SMS backend delivers codes: twilio | console | http
+    OTP_PROVIDER: process.env.OTP_PROVIDER || 'twilio',
+    OTP_LENGTH: 6,
+    // How long a code stays valid
+    OTP_TTL_MS: minutes('OTP_TTL_MINUTES', 5),
+    // Wrong guesses allowed per code before the number is locked out
+    MAX_VERIFY_ATTEMPTS: parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5,
+    // Minimum wait between two codes for the same number
+    RESEND_COOLDOWN_MS: (parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS, 10) || 60) * 1000,
+    // Codes a number may request per window before it is locked out
+    MAX_SENDS_PER_WINDOW: parseInt(process.env.OTP_MAX_SENDS_PER_HOUR, 10) || 5,
+    SEND_WINDOW_MS: 60 * 60 * 1000,
+    // How long a locked out number has to wait
+    LOCKOUT_MS: minutes('OTP_LOCKOUT_MINUTES', 60),
+    OTP_TEST_MODE: testModeRequested && !isProduction,
+    OTP_TEST_CODE: process.env.OTP_TEST_CODE || '000000'
+};
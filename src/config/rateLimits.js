@@ -0,0 +1,31 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// A limit is "max requests per window". Each can be overridden with
+// RATE_LIMIT_<NAME>=<max>/<windowSeconds>, e.g. RATE_LIMIT_SEND_MESSAGE=120/60
+const limit = (name, max, windowSeconds) => {
+    const match = /^(\d+)\/(\d+)$/.exec(process.env[`RATE_LIMIT_${name}`] || '');
+    if (match) {
+        return { max: parseInt(match[1], 10), windowMs: parseInt(match[2], 10) * 1000 };
+    }
+    return { max, windowMs: windowSeconds * 1000 };
+};
+
+module.exports = {
+    // Where counters live: memory (single instance) | mongo (shared by every instance)
+    RATE_LIMIT_STORE: process.env.RATE_LIMIT_STORE || 'memory',
+    RATE_LIMITS: {
+        sendOtpIp: limit('SEND_OTP_IP', 20, 60 * 60),
+        sendOtpPhone: limit('SEND_OTP_PHONE', 5, 60 * 60),
+        verifyOtpIp: limit('VERIFY_OTP_IP', 30, 15 * 60),
+        refreshTokenIp: limit('REFRESH_TOKEN_IP', 60, 15 * 60),
+        sendMessage: limit('SEND_MESSAGE', 60, 60),
+        forwardMessage: limit('FORWARD_MESSAGE', 30, 60),
+        uploadMedia: limit('UPLOAD_MEDIA', 20, 60),
+        uploadChunk: limit('UPLOAD_CHUNK', 600, 60),
+        socketTyping: limit('SOCKET_TYPING', 30, 10),
+        socketMessageRead: limit('SOCKET_MESSAGE_READ', 120, 60),
+        socketLiveLocation: limit('SOCKET_LIVE_LOCATION', 60, 60)
+    }
+};
@@ -0,0 +1,16 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+module.exports = {
+    // Malware scanner for uploads: local (EICAR test signature only) | clamav
+    MALWARE_SCANNER: process.env.MALWARE_SCANNER || 'local',
+    // clamd over a unix socket (CLAMAV_SOCKET) or TCP. Its StreamMaxLength must
+    // cover the largest upload (50MB), otherwise big files cannot be scanned
+    CLAMAV: {
+        socketPath: process.env.CLAMAV_SOCKET || null,
+        host: process.env.CLAMAV_HOST || '127.0.0.1',
+        port: parseInt(process.env.CLAMAV_PORT, 10) || 3310
+    },
+    SCAN_TIMEOUT_MS: parseInt(process.env.SCAN_TIMEOUT_MS, 10) || 60 * 1000
+};
@@ -0,0 +1,32 @@
+const path = require('path');
+const os = require('os');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+module.exports = {
+    // Where uploaded files live: local | s3 | gridfs
+    STORAGE_BACKEND: process.env.STORAGE_BACKEND || 'local',
+    // Local backend root; also where files uploaded before other backends existed are found
+    LOCAL_UPLOADS_DIR: path.join(__dirname, '../../uploads'),
+    // Uploads are staged here before they are handed to the backend
+    UPLOAD_TEMP_DIR: process.env.UPLOAD_TEMP_DIR || path.join(os.tmpdir(), 'chat-uploads'),
+    // Any S3-compatible service (AWS, MinIO, R2, ...)
+    S3: {
+        endpoint: process.env.S3_ENDPOINT || 'https://s3.amazonaws.com',
+        region: process.env.S3_REGION || 'us-east-1',
+        bucket: process.env.S3_BUCKET,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        // MinIO and most self-hosted services need path-style URLs
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false'
+    },
+    GRIDFS_BUCKET: process.env.GRIDFS_BUCKET || 'uploads',
+    // Resumable uploads: default and largest chunk size, and how long an unfinished upload is kept
+    UPLOAD_CHUNK_SIZE: 1024 * 1024,
+    MAX_UPLOAD_CHUNK_SIZE: 5 * 1024 * 1024,
+    UPLOAD_SESSION_TTL_MS: 24 * 60 * 60 * 1000,
+    MAX_ACTIVE_UPLOADS: 5,
+    // Signed media URLs stay valid at least this long
+    MEDIA_URL_TTL_SECONDS: parseInt(process.env.MEDIA_URL_TTL_SECONDS, 10) || 60 * 60
+};
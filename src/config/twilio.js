@@ -5,11 +5,12 @@ dotenv.config();
 
 const accountSid = process.env.TWILIO_ACCOUNT_SID;
 const authToken = process.env.TWILIO_AUTH_TOKEN;
-const serviceSid = process.env.TWILIO_SERVICE_SID;
 
 const client = new twilio(accountSid, authToken);
 
 module.exports = {
     client,
-    serviceSid
+    // Sender for OTP texts: a messaging service takes precedence over a plain number
+    messagingServiceSid: process.env.TWILIO_MESSAGING_SERVICE_SID,
+    fromNumber: process.env.TWILIO_FROM_NUMBER
 };
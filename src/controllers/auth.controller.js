@@ -1,8 +1,22 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Chat = require('../models/Chat');
 const Contact = require('../models/Contact');
-const { client, serviceSid } = require('../config/twilio');
+const otpService = require('../services/otp.service');
+const sessionService = require('../services/session.service');
+const { storeUpload, discardUpload } = require('../services/storage');
+const { inspectUpload } = require('../services/uploadInspection.service');
+const { validateFile } = require('../middleware/upload.middleware');
+const { checkPictureUrl, signMediaUrl } = require('../utils/media');
+const {
+    hasBlocked,
+    stripBlockedProfile,
+    loadPresenceContext,
+    applyPresencePrivacy
+} = require('../utils/privacy');
 
+/**
+ * Send a login code to a phone number
+ */
 exports.sendOtp = async (req, res) => {
     const { phoneNumber } = req.body;
 
@@ -10,142 +24,163 @@ exports.sendOtp = async (req, res) => {
         return res.status(400).json({ error: 'Phone number is required' });
     }
 
-    // TEMPORARY: Bypass OTP sending for development
-    // const BYPASS_OTP = process.env.BYPASS_OTP === 'true' || true; // Set to false to re-enable OTP
-    const BYPASS_OTP = process.env.BYPASS_OTP === 'true';
-
-
-    if (BYPASS_OTP) {
-        console.log(`[DEV] OTP sending bypassed for ${phoneNumber}`);
-        return res.status(200).json({
-            status: 'approved',
-            message: 'OTP bypassed (dev mode). Use any OTP like 000000 or 123456 to login.'
-        });
-    }
-
     try {
-        const verification = await client.verify.v2
-            .services(serviceSid)
-            .verifications.create({ to: phoneNumber, channel: 'sms' });
-
-        console.log(`[Twilio] OTP sent to ${phoneNumber}. Status: ${verification.status}`);
+        const result = await otpService.requestOtp(phoneNumber);
+        if (result.error) {
+            return sendOtpError(res, result);
+        }
 
-        res.status(200).json({ status: verification.status, message: 'OTP sent successfully' });
+        res.status(200).json({
+            status: 'pending',
+            message: 'OTP sent successfully',
+            expiresIn: result.expiresIn,
+            resendAfter: result.resendAfter
+        });
     } catch (error) {
-        console.error('Twilio Error:', error.message);
-        // If bypass is enabled, still return success
-        if (BYPASS_OTP) {
-            return res.status(200).json({
-                status: 'approved',
-                message: 'OTP bypassed (dev mode)'
-            });
-        }
-        res.status(500).json({ error: error.message || 'Failed to send OTP' });
+        console.error('Send OTP Error:', error);
+        res.status(500).json({ error: 'Failed to send OTP' });
     }
 };
 
+/**
+ * Check a login code and log the user in, creating the account on first login
+ */
 exports.verifyOtp = async (req, res) => {
-    const { phoneNumber, otp, name } = req.body;
+    const { phoneNumber, otp, deviceId, deviceName } = req.body;
 
     if (!phoneNumber) {
         return res.status(400).json({ error: 'Phone number is required' });
     }
 
-    // TEMPORARY: Bypass OTP for development
-    // Accept any OTP or skip OTP check entirely
-    const BYPASS_OTP = process.env.BYPASS_OTP === 'true' || true; // Set to false to re-enable OTP
-    // const BYPASS_CODE = '000000'; // Any OTP with this code will work
+    if (!otp) {
+        return res.status(400).json({ error: 'OTP is required' });
+    }
 
     try {
-        let isVerified = false;
-
-        if (BYPASS_OTP) {
-            // Bypass OTP verification - accept any OTP or no OTP
-            if (!otp || otp === BYPASS_CODE || otp === '123456') {
-                console.log(`[DEV] OTP bypassed for ${phoneNumber}`);
-                isVerified = true;
-            } else {
-                // Still try Twilio verification if OTP is provided
-                try {
-                    const verificationCheck = await client.verify.v2
-                        .services(serviceSid)
-                        .verificationChecks.create({ to: phoneNumber, code: otp });
-                    isVerified = verificationCheck.status === 'approved';
-                } catch (twilioError) {
-                    // If Twilio fails but bypass is enabled, still allow
-                    console.log(`[DEV] Twilio error, but bypass enabled: ${twilioError.message}`);
-                    isVerified = true;
-                }
-            }
-        } else {
-            // Normal OTP verification
-            if (!otp) {
-                return res.status(400).json({ error: 'OTP is required' });
-            }
+        const result = await otpService.verifyOtp(phoneNumber, otp);
+        if (result.error) {
+            return sendOtpError(res, result);
+        }
 
-            const verificationCheck = await client.verify.v2
-                .services(serviceSid)
-                .verificationChecks.create({ to: phoneNumber, code: otp });
+        let user = await User.findOne({ phoneNumber });
 
-            isVerified = verificationCheck.status === 'approved';
+        if (!user) {
+            // Create new user - don't store name, only phone number
+            user = await User.create({
+                phoneNumber,
+                name: '' // Users don't set their own name, others save them with custom names
+            });
         }
 
-        if (isVerified) {
-            let user = await User.findOne({ phoneNumber });
+        const { session, token, refreshToken, expiresIn } = await sessionService.createSession(user._id, {
+            deviceId,
+            deviceName,
+            userAgent: req.headers['user-agent'],
+            ipAddress: req.ip
+        });
 
-            if (!user) {
-                // Create new user - don't store name, only phone number
-                user = await User.create({
-                    phoneNumber,
-                    name: '' // Users don't set their own name, others save them with custom names
-                });
-            }
+        res.status(200).json({
+            message: 'Login successful',
+            token,
+            expiresIn,
+            refreshToken,
+            sessionId: session._id,
+            deviceId: session.deviceId,
+            user
+        });
+    } catch (error) {
+        console.error('Verify OTP Error:', error);
+        res.status(500).json({ error: 'Failed to verify OTP' });
+    }
+};
 
-            const token = jwt.sign(
-                { userId: user._id },
-                process.env.JWT_SECRET,
-                { expiresIn: '7d' }
-            );
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ */
+exports.refreshToken = async (req, res) => {
+    const { refreshToken } = req.body;
 
-            res.status(200).json({
-                message: 'Login successful',
-                token,
-                user
-            });
-        } else {
-            res.status(400).json({ error: 'Invalid OTP' });
+    if (!refreshToken) {
+        return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    try {
+        const result = await sessionService.rotateRefreshToken(refreshToken);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
         }
+
+        res.status(200).json({
+            token: result.token,
+            expiresIn: result.expiresIn,
+            refreshToken: result.refreshToken,
+            sessionId: result.session._id
+        });
     } catch (error) {
-        console.error('Verify OTP Error:', error);
-        // If bypass is enabled, still allow login even on error
-        if (BYPASS_OTP) {
-            console.log(`[DEV] Error occurred but bypass enabled, allowing login`);
-            try {
-                let user = await User.findOne({ phoneNumber });
-
-                if (!user) {
-                    user = await User.create({
-                        phoneNumber,
-                        name: name || `User ${phoneNumber.slice(-4)}`
-                    });
-                }
+        console.error('Refresh Token Error:', error);
+        res.status(500).json({ error: 'Failed to refresh token' });
+    }
+};
 
-                const token = jwt.sign(
-                    { userId: user._id },
-                    process.env.JWT_SECRET,
-                    { expiresIn: '7d' }
-                );
-
-                return res.status(200).json({
-                    message: 'Login successful (bypassed)',
-                    token,
-                    user
-                });
-            } catch (userError) {
-                return res.status(500).json({ error: userError.message || 'Failed to create/login user' });
-            }
+/**
+ * Log out the current session
+ */
+exports.logout = async (req, res) => {
+    try {
+        await sessionService.revokeSessions(req.userId, [req.sessionId]);
+        res.status(200).json({ message: 'Logged out' });
+    } catch (error) {
+        console.error('Logout Error:', error);
+        res.status(500).json({ error: 'Failed to log out' });
+    }
+};
+
+/**
+ * List the current user's active sessions
+ */
+exports.getSessions = async (req, res) => {
+    try {
+        const sessions = await sessionService.listSessions(req.userId);
+
+        res.status(200).json(sessions.map(session => ({
+            ...session,
+            current: session._id.toString() === req.sessionId
+        })));
+    } catch (error) {
+        console.error('Get Sessions Error:', error);
+        res.status(500).json({ error: 'Failed to fetch sessions' });
+    }
+};
+
+/**
+ * Revoke one of the current user's sessions
+ */
+exports.revokeSession = async (req, res) => {
+    const { sessionId } = req.params;
+
+    try {
+        const revoked = await sessionService.revokeSessions(req.userId, [sessionId]);
+        if (!revoked) {
+            return res.status(404).json({ error: 'Session not found' });
         }
-        res.status(500).json({ error: error.message || 'Failed to verify OTP' });
+
+        res.status(200).json({ message: 'Session revoked' });
+    } catch (error) {
+        console.error('Revoke Session Error:', error);
+        res.status(500).json({ error: 'Failed to revoke session' });
+    }
+};
+
+/**
+ * Revoke every session of the current user, including this one
+ */
+exports.revokeAllSessions = async (req, res) => {
+    try {
+        const revoked = await sessionService.revokeSessions(req.userId);
+        res.status(200).json({ message: 'All sessions revoked', revoked });
+    } catch (error) {
+        console.error('Revoke All Sessions Error:', error);
+        res.status(500).json({ error: 'Failed to revoke sessions' });
     }
 };
 
@@ -178,9 +213,13 @@ exports.updateProfile = async (req, res) => {
             user.about = about.trim();
         }
 
-        // Update profile picture
+        // Update profile picture (must be an image the user uploaded)
         if (profilePicture !== undefined) {
-            user.profilePicture = profilePicture;
+            const picture = await checkPictureUrl(userId, profilePicture, user.profilePicture);
+            if (picture.error) {
+                return res.status(400).json({ error: picture.error });
+            }
+            user.profilePicture = picture.url;
         }
 
         // Update theme
@@ -199,19 +238,19 @@ exports.updateProfile = async (req, res) => {
                 }
                 user.privacySettings.lastSeenVisibility = privacySettings.lastSeenVisibility;
             }
+            if (privacySettings.onlineVisibility) {
+                if (!['everyone', 'contacts', 'nobody'].includes(privacySettings.onlineVisibility)) {
+                    return res.status(400).json({ error: 'Invalid online visibility setting' });
+                }
+                user.privacySettings.onlineVisibility = privacySettings.onlineVisibility;
+            }
         }
 
         await user.save();
 
-        // Emit profile update to all connected clients
-        const { getIO } = require('../socket/socket');
+        // Tell the people the user chats with
         try {
-            getIO().emit('profileUpdated', {
-                userId: user._id.toString(),
-                profilePicture: user.profilePicture,
-                about: user.about,
-                name: user.name
-            });
+            await emitProfileUpdate(user);
         } catch (socketError) {
             console.error('Socket emission error:', socketError);
         }
@@ -236,26 +275,33 @@ exports.uploadProfilePicture = async (req, res) => {
         return res.status(400).json({ error: 'No file uploaded' });
     }
 
+    // The upload middleware accepts any media type, so make sure this is an image
+    const validation = validateFile('image', req.file);
+    if (!validation.valid) {
+        await discardUpload(req.file);
+        return res.status(400).json({ error: validation.error });
+    }
+
     try {
         const user = await User.findById(userId);
         if (!user) {
+            await discardUpload(req.file);
             return res.status(404).json({ error: 'User not found' });
         }
 
+        const inspection = await inspectUpload(req.file);
+        if (inspection.error) {
+            return res.status(inspection.status).json({ error: inspection.error, code: inspection.code });
+        }
+
         // Update profile picture URL
-        const fileUrl = `/uploads/profile/${req.file.filename}`;
+        const { url: fileUrl } = await storeUpload(req.file, 'profile', userId);
         user.profilePicture = fileUrl;
         await user.save();
 
-        // Emit profile update to all connected clients
-        const { getIO } = require('../socket/socket');
+        // Tell the people the user chats with
         try {
-            getIO().emit('profileUpdated', {
-                userId: user._id.toString(),
-                profilePicture: user.profilePicture,
-                about: user.about,
-                name: user.name
-            });
+            await emitProfileUpdate(user);
         } catch (socketError) {
             console.error('Socket emission error:', socketError);
         }
@@ -266,6 +312,7 @@ exports.uploadProfilePicture = async (req, res) => {
             user
         });
     } catch (error) {
+        await discardUpload(req.file);
         console.error('Upload Profile Picture Error:', error);
         res.status(500).json({ error: 'Failed to upload profile picture' });
     }
@@ -286,15 +333,9 @@ exports.removeProfilePicture = async (req, res) => {
         user.profilePicture = null;
         await user.save();
 
-        // Emit profile update to all connected clients
-        const { getIO } = require('../socket/socket');
+        // Tell the people the user chats with
         try {
-            getIO().emit('profileUpdated', {
-                userId: user._id.toString(),
-                profilePicture: null,
-                about: user.about,
-                name: user.name
-            });
+            await emitProfileUpdate(user);
         } catch (socketError) {
             console.error('Socket emission error:', socketError);
         }
@@ -330,6 +371,21 @@ exports.getProfile = async (req, res) => {
     }
 };
 
+/**
+ * List devices the current user is connected from
+ */
+exports.getDevices = async (req, res) => {
+    try {
+        const { getUserDevices } = require('../socket/socket');
+        const devices = await getUserDevices(req.userId);
+
+        res.status(200).json(devices);
+    } catch (error) {
+        console.error('Get Devices Error:', error);
+        res.status(500).json({ error: 'Failed to fetch devices' });
+    }
+};
+
 /**
  * Get user profile by ID (for viewing other users' profiles)
  */
@@ -339,33 +395,65 @@ exports.getUserProfile = async (req, res) => {
 
     try {
         const user = await User.findById(userId)
-            .select('phoneNumber profilePicture about lastSeen isOnline privacySettings');
+            .select('phoneNumber profilePicture about lastSeen isOnline privacySettings blockedUsers');
 
         if (!user) {
             return res.status(404).json({ error: 'User not found' });
         }
 
-        // Check privacy settings for last seen
-        let lastSeen = null;
-        if (user.privacySettings.lastSeenVisibility === 'everyone') {
-            lastSeen = user.lastSeen;
-        } else if (user.privacySettings.lastSeenVisibility === 'contacts') {
-            // Check if users have a chat together
-            const Chat = require('../models/Chat');
-            const chat = await Chat.findOne({
-                participants: { $all: [currentUserId, userId] }
-            });
-            if (chat) {
-                lastSeen = user.lastSeen;
-            }
+        const currentUser = await User.findById(currentUserId).select('blockedUsers');
+        const isBlocked = hasBlocked(currentUser, userId);
+
+        // Someone who blocked the viewer looks like a user with everything hidden
+        if (hasBlocked(user, currentUserId)) {
+            const { blockedUsers, ...profile } = user.toObject();
+            return res.status(200).json({ ...stripBlockedProfile(profile), isBlocked });
         }
 
+        // Check privacy settings for last seen and online status
+        const { blockedUsers, ...profile } = user.toObject();
+        const presenceContext = await loadPresenceContext(currentUserId, [userId]);
+
         res.status(200).json({
-            ...user.toObject(),
-            lastSeen: lastSeen
+            ...applyPresencePrivacy(profile, presenceContext),
+            isBlocked
         });
     } catch (error) {
         console.error('Get User Profile Error:', error);
         res.status(500).json({ error: 'Failed to fetch user profile' });
     }
-};
\ No newline at end of file
+};
+
+// Respond with an OTP rejection, telling rate limited clients when to retry
+function sendOtpError(res, result) {
+    const { status, error, retryAfter, attemptsRemaining } = result;
+
+    if (retryAfter) {
+        res.set('Retry-After', String(retryAfter));
+    }
+
+    res.status(status).json({ error, retryAfter, attemptsRemaining });
+}
+
+// Send profileUpdated to the user's own devices and to users who share a chat with them.
+// Users they blocked get no picture or about, as with any other view of a blocked profile.
+async function emitProfileUpdate(user) {
+    const { getIO } = require('../socket/socket');
+    const userId = user._id.toString();
+
+    const participantIds = await Chat.find({ participants: user._id }).distinct('participants');
+    const viewerIds = new Set([userId, ...participantIds.map(id => id.toString())]);
+    const profile = {
+        userId,
+        profilePicture: signMediaUrl(user.profilePicture),
+        about: user.about,
+        name: user.name
+    };
+
+    viewerIds.forEach(viewerId => {
+        const payload = hasBlocked(user, viewerId)
+            ? { ...profile, profilePicture: null, about: '' }
+            : profile;
+        getIO().to(viewerId).emit('profileUpdated', payload);
+    });
+}
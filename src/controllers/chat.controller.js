@@ -1,12 +1,50 @@
+const mongoose = require('mongoose');
 const Chat = require('../models/Chat');
 const Message = require('../models/Message');
 const User = require('../models/User');
 const Contact = require('../models/Contact');
 const { getIO } = require('../socket/socket');
-const { validateMessage, sanitizeText } = require('../middleware/upload.middleware');
+const {
+    validateMessage,
+    validateFile,
+    typeForMimeType,
+    sanitizeText,
+    MEDIA_MESSAGE_TYPES,
+    LOCATION_MESSAGE_TYPES
+} = require('../middleware/upload.middleware');
+const {
+    findDirectChat,
+    isParticipant,
+    isGroupAdmin,
+    emitToParticipants,
+    buildReplyPreview,
+    createSystemMessage,
+    displayNameOf,
+    REPLY_PREVIEW_POPULATE
+} = require('../utils/chatHelpers');
+const { parseLimit, resolveCursor, cursorFilter, encodeCursor } = require('../utils/pagination');
+const { parseSearchTerms, buildSnippet } = require('../utils/search');
+const { findUserByPhone } = require('../utils/phone');
+const { formatVCards, isSupportedVersion } = require('../utils/vcard');
+const { EDIT_WINDOW_MS, DISAPPEARING_TIMERS } = require('../config/messages');
+const {
+    hasBlocked,
+    getBlockedByIds,
+    stripBlockedProfile,
+    getReadReceiptSenders,
+    loadPresenceContext,
+    applyPresencePrivacy
+} = require('../utils/privacy');
+const messageService = require('../services/message.service');
+const liveLocationService = require('../services/liveLocation.service');
+const { discardUpload } = require('../services/storage');
+const { storeMediaUpload } = require('../services/mediaProcessing.service');
+const { inspectUpload } = require('../services/uploadInspection.service');
+const { signMediaUrl, signMediaUrls, removeMediaIfUnused, canUseMedia } = require('../utils/media');
 
 /**
- * Upload media file (image, video, audio)
+ * Upload media file (image, video, audio, document)
+ * Body: fileType (defaults to the type matching the file's MIME type)
  */
 exports.uploadMedia = async (req, res) => {
     if (!req.file) {
@@ -14,125 +52,137 @@ exports.uploadMedia = async (req, res) => {
     }
 
     try {
-        const fileType = req.body.fileType || 'image'; // image, video, audio
-        const fileUrl = `/uploads/media/${req.file.filename}`;
+        const messageType = req.body.fileType || typeForMimeType(req.file.mimetype);
 
-        // Determine message type based on file type
-        let messageType = 'image';
-        if (fileType === 'video') messageType = 'video';
-        if (fileType === 'audio') messageType = 'audio';
+        const validation = validateFile(messageType, req.file);
+        if (!validation.valid) {
+            await discardUpload(req.file);
+            return res.status(400).json({ error: validation.error });
+        }
+
+        const inspection = await inspectUpload(req.file);
+        if (inspection.error) {
+            return res.status(inspection.status).json({ error: inspection.error, code: inspection.code });
+        }
+
+        // Thumbnail, placeholder, dimensions and duration are extracted while storing
+        const media = await storeMediaUpload(req.file, req.userId, messageType);
 
         res.status(200).json({
-            url: fileUrl,
-            mimeType: req.file.mimetype,
-            size: req.file.size,
+            ...media,
+            // Signed link for showing the upload before it is sent
+            previewUrl: signMediaUrl(media.url),
             type: messageType
         });
     } catch (error) {
+        await discardUpload(req.file);
         console.error('Upload Media Error:', error);
         res.status(500).json({ error: 'Failed to upload media' });
     }
 };
 
 /**
- * Send a message (text, media, or emoji)
- * Supports: text, image, audio, video, emoji
+ * Send a message (text, media, location, contact or emoji)
+ * Supports: text, image, audio, video, document, location, live_location, contact, emoji
+ * Pass recipientId for 1:1 chats or chatId for group chats.
+ * Live locations also take liveDuration (seconds); positions then follow over the socket.
+ * Contact messages take contacts: [{ userId } | { vcard } | { name, phoneNumbers, ... }]
  */
 exports.sendMessage = async (req, res) => {
-    const { recipientId, text, type = 'text', media, forwardedFrom } = req.body;
+    const {
+        recipientId, chatId, text, type = 'text', media, location, liveDuration, contacts, forwardedFrom, replyTo
+    } = req.body;
     const senderId = req.userId;
 
-    // Validation
-    if (!recipientId) {
-        return res.status(400).json({ error: 'Recipient is required' });
-    }
+    try {
+        const result = await messageService.sendMessage({
+            senderId, recipientId, chatId, text, type, media, location, liveDuration, contacts, forwardedFrom, replyTo
+        });
 
-    // Validate message data
-    const validation = validateMessage({ type, text, media });
-    if (!validation.valid) {
-        return res.status(400).json({ error: validation.error });
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.status(201).json(result.message);
+    } catch (error) {
+        console.error('Send Message Error:', error);
+        res.status(500).json({ error: error.message || 'Failed to send message' });
     }
+};
 
-    // Sanitize text if present
-    const sanitizedText = text ? sanitizeText(text) : '';
+/**
+ * Stop sharing a live location before it runs out
+ * (the socket stopLiveLocation event does the same)
+ */
+exports.stopLiveLocation = async (req, res) => {
+    const { messageId } = req.body;
 
-    // Validate recipient exists
-    const recipient = await User.findById(recipientId);
-    if (!recipient) {
-        return res.status(404).json({ error: 'Recipient not found' });
+    if (!messageId) {
+        return res.status(400).json({ error: 'Message ID is required' });
     }
 
     try {
-        // Find or create chat
-        let chat = await Chat.findOne({
-            participants: { $all: [senderId, recipientId] }
-        });
-
-        if (!chat) {
-            chat = await Chat.create({
-                participants: [senderId, recipientId],
-                unreadCount: new Map()
-            });
+        const result = await liveLocationService.stopLiveLocation(req.userId, messageId);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
         }
 
-        // Create message
-        const messageData = {
-            chatId: chat._id,
-            senderId,
-            type,
-            status: 'sent'
-        };
-
-        if (sanitizedText) messageData.text = sanitizedText;
-        if (media) messageData.media = media;
-        if (forwardedFrom) messageData.forwardedFrom = forwardedFrom;
+        res.status(200).json({ message: 'Live location stopped', stoppedAt: result.stoppedAt });
+    } catch (error) {
+        console.error('Stop Live Location Error:', error);
+        res.status(500).json({ error: 'Failed to stop live location' });
+    }
+};
 
-        const message = await Message.create(messageData);
+/**
+ * Download the contact cards of a contact message as a .vcf file
+ * Query: version (3.0 or 4.0, default 3.0)
+ */
+exports.exportContactCard = async (req, res) => {
+    const { messageId } = req.params;
+    const { version = '3.0' } = req.query;
+    const currentUserId = req.userId;
 
-        // Populate sender info for real-time emission
-        await message.populate('senderId', 'name phoneNumber profilePicture');
+    if (!mongoose.isValidObjectId(messageId)) {
+        return res.status(404).json({ error: 'Message not found' });
+    }
 
-        // Update chat
-        chat.lastMessage = message._id;
+    if (!isSupportedVersion(version)) {
+        return res.status(400).json({ error: 'Version must be 3.0 or 4.0' });
+    }
 
-        // Unhide chat if it was hidden/deleted by either party so it reappears
-        if (chat.deletedBy && chat.deletedBy.length > 0) {
-            chat.deletedBy = chat.deletedBy.filter(id =>
-                id.toString() !== senderId.toString() &&
-                id.toString() !== recipientId.toString()
-            );
+    try {
+        const message = await Message.findOne({
+            _id: messageId,
+            type: 'contact',
+            isDeleted: false,
+            deletedFor: { $ne: currentUserId },
+            expiresAt: { $not: { $lte: new Date() } }
+        }).select('chatId contacts');
+        if (!message) {
+            return res.status(404).json({ error: 'Message not found' });
         }
 
-        const currentUnread = chat.unreadCount.get(recipientId.toString()) || 0;
-        chat.unreadCount.set(recipientId.toString(), currentUnread + 1);
-        await chat.save();
-
-        // Emit to recipient
-        try {
-            getIO().to(recipientId.toString()).emit('newMessage', message);
-            // Also emit to sender for confirmation
-            getIO().to(senderId.toString()).emit('messageSent', message);
-        } catch (socketError) {
-            console.error('Socket Emission Error:', socketError.message);
+        const chat = await Chat.findById(message.chatId).select('participants');
+        if (!chat || !isParticipant(chat, currentUserId)) {
+            return res.status(404).json({ error: 'Message not found' });
         }
 
-        // Auto-mark as delivered if recipient is online
-        setTimeout(async () => {
-            const recipientUser = await User.findById(recipientId);
-            if (recipientUser?.isOnline) {
-                await updateMessageStatus(message._id, 'delivered', senderId);
-            }
-        }, 100);
+        const cards = message.contacts || [];
+        const fileName = cards.length === 1 ? cards[0].name : 'contacts';
 
-        res.status(201).json(message);
+        res.type('text/vcard');
+        res.attachment(`${fileName.replace(/[\\/:*?"<>|\r\n]/g, '_')}.vcf`);
+        res.status(200).send(formatVCards(cards, version));
     } catch (error) {
-        console.error('Send Message Error:', error);
-        res.status(500).json({ error: error.message || 'Failed to send message' });
+        console.error('Export Contact Card Error:', error);
+        res.status(500).json({ error: 'Failed to export contact' });
     }
 };
 
 /**
  * Get chat history with proper filtering (exclude deleted messages)
+ * Query: before/after (nextCursor, message ID or timestamp), limit
  */
 exports.getChatHistory = async (req, res) => {
     const { userId } = req.params;
@@ -145,77 +195,171 @@ exports.getChatHistory = async (req, res) => {
             return res.status(404).json({ error: 'User not found' });
         }
 
-        const chat = await Chat.findOne({
-            participants: { $all: [currentUserId, userId] }
-        });
+        const chat = await findDirectChat(currentUserId, userId);
 
         if (!chat) {
-            return res.status(200).json([]);
+            return res.status(200).json({ messages: [], hasMore: false, nextCursor: null });
         }
 
-        // Get messages, excluding those deleted for current user
-        const messages = await Message.find({
-            chatId: chat._id,
-            isDeleted: false,
-            deletedFor: { $ne: currentUserId }
-        })
-            .populate('senderId', 'name phoneNumber profilePicture')
-            .populate('forwardedFrom', 'text type media')
-            .sort({ createdAt: 1 });
+        const page = await loadChatHistory(chat, currentUserId, req.query);
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
 
-        // Mark messages as read when user opens chat
-        const unreadMessages = messages.filter(
-            msg => msg.senderId && msg.senderId._id.toString() !== currentUserId.toString() &&
-                msg.status !== 'read'
-        );
+        res.status(200).json(page);
+    } catch (error) {
+        console.error('Get Chat History Error:', error);
+        res.status(500).json({ error: 'Failed to fetch chat history' });
+    }
+};
 
-        if (unreadMessages.length > 0) {
-            await Message.updateMany(
-                { _id: { $in: unreadMessages.map(m => m._id) } },
-                { $set: { status: 'read' } }
-            );
+/**
+ * Get group chat history
+ * Query: before/after (nextCursor, message ID or timestamp), limit
+ */
+exports.getGroupChatHistory = async (req, res) => {
+    const { chatId } = req.params;
+    const currentUserId = req.userId;
 
-            // Emit read status updates to senders
-            const senders = [...new Set(unreadMessages.map(m => m.senderId._id.toString()))];
-            senders.forEach(senderId => {
-                getIO().to(senderId).emit('messagesRead', {
-                    chatId: chat._id.toString(),
-                    readerId: currentUserId.toString()
-                });
-            });
+    if (!mongoose.isValidObjectId(chatId)) {
+        return res.status(404).json({ error: 'Group not found' });
+    }
+
+    try {
+        const chat = await Chat.findOne({ _id: chatId, isGroup: true });
+        if (!chat) {
+            return res.status(404).json({ error: 'Group not found' });
         }
 
-        // Reset unread count
-        chat.unreadCount.set(currentUserId.toString(), 0);
-        await chat.save();
+        if (!isParticipant(chat, currentUserId)) {
+            return res.status(403).json({ error: 'You are not a member of this group' });
+        }
+
+        const page = await loadChatHistory(chat, currentUserId, req.query);
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
 
-        res.status(200).json(messages);
+        res.status(200).json(page);
     } catch (error) {
-        console.error('Get Chat History Error:', error);
+        console.error('Get Group Chat History Error:', error);
         res.status(500).json({ error: 'Failed to fetch chat history' });
     }
 };
 
+/**
+ * List the photos, videos, audio and documents shared in a chat, newest first
+ * Query: type (image, video, audio or document), before (nextCursor, message ID or timestamp), limit
+ */
+exports.getChatMedia = async (req, res) => {
+    const { chatId } = req.params;
+    const { type, before } = req.query;
+    const currentUserId = req.userId;
+    const limit = parseLimit(req.query.limit);
+
+    if (type && !MEDIA_MESSAGE_TYPES.includes(type)) {
+        return res.status(400).json({ error: 'Invalid media type' });
+    }
+
+    if (!mongoose.isValidObjectId(chatId)) {
+        return res.status(404).json({ error: 'Chat not found' });
+    }
+
+    try {
+        const chat = await Chat.findById(chatId).select('participants');
+        if (!chat) {
+            return res.status(404).json({ error: 'Chat not found' });
+        }
+        if (!isParticipant(chat, currentUserId)) {
+            return res.status(403).json({ error: 'You are not a participant of this chat' });
+        }
+
+        const filter = {
+            chatId: chat._id,
+            type: type || { $in: MEDIA_MESSAGE_TYPES },
+            isDeleted: false,
+            deletedFor: { $ne: currentUserId },
+            expiresAt: { $not: { $lte: new Date() } }
+        };
+
+        if (before) {
+            const position = await resolveCursor(Message, before, 'createdAt', { chatId: chat._id });
+            if (!position) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+            Object.assign(filter, cursorFilter('createdAt', position, 'before'));
+        }
+
+        // Fetch one extra message to know whether there is another page
+        const page = await Message.find(filter)
+            .sort({ createdAt: -1, _id: -1 })
+            .limit(limit + 1)
+            .select('chatId senderId type text media forwardedFrom createdAt')
+            .populate('senderId', 'name phoneNumber')
+            .lean();
+
+        const hasMore = page.length > limit;
+        if (hasMore) page.pop();
+
+        res.status(200).json({
+            messages: page,
+            hasMore,
+            nextCursor: hasMore && page.length > 0 ? encodeCursor(page[page.length - 1], 'createdAt') : null
+        });
+    } catch (error) {
+        console.error('Get Chat Media Error:', error);
+        res.status(500).json({ error: 'Failed to fetch chat media' });
+    }
+};
+
 /**
  * Get all chats for current user with unread counts and saved contact names
+ * Query: before/after (nextCursor, chat ID or timestamp of its last update), limit
  */
 exports.getChats = async (req, res) => {
     const currentUserId = req.userId;
+    const { before, after } = req.query;
+    const limit = parseLimit(req.query.limit);
+
+    if (before && after) {
+        return res.status(400).json({ error: 'Use either before or after, not both' });
+    }
+
     try {
-        const chats = await Chat.find({
+        const filter = {
             participants: { $in: [currentUserId] },
             deletedBy: { $ne: currentUserId }, // Exclude hidden chats
             archivedBy: { $ne: currentUserId } // Exclude archived chats
-        })
+        };
+
+        if (before || after) {
+            const position = await resolveCursor(Chat, before || after, 'updatedAt', { participants: currentUserId });
+            if (!position) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+            Object.assign(filter, cursorFilter('updatedAt', position, before ? 'before' : 'after'));
+        }
+
+        // Fetch one extra chat to know whether there is another page
+        const page = await Chat.find(filter)
+            .sort(after ? { updatedAt: 1, _id: 1 } : { updatedAt: -1, _id: -1 })
+            .limit(limit + 1)
             .populate('participants', 'phoneNumber profilePicture about isOnline lastSeen privacySettings')
             .populate({
                 path: 'lastMessage',
+                select: '-editHistory',
                 populate: {
                     path: 'senderId',
                     select: 'phoneNumber'
                 }
-            })
-            .sort({ updatedAt: -1 });
+            });
+
+        const hasMore = page.length > limit;
+        if (hasMore) page.pop();
+
+        // Always list newest first
+        const chats = after ? page.reverse() : page;
+        const edge = after ? chats[0] : chats[chats.length - 1];
 
         // Get saved contact names for current user
         const contacts = await Contact.find({ userId: currentUserId });
@@ -224,12 +368,34 @@ exports.getChats = async (req, res) => {
             contactMap[contact.contactUserId.toString()] = contact.savedName;
         });
 
+        // Participants who blocked the current user get their profile details hidden
+        const participantIds = chats.flatMap(chat => chat.participants.filter(Boolean).map(p => p._id));
+        const [currentUser, blockedBy, presence] = await Promise.all([
+            User.findById(currentUserId).select('blockedUsers'),
+            getBlockedByIds(currentUserId),
+            loadPresenceContext(currentUserId, participantIds)
+        ]);
+        const visibleParticipants = chat => chat.participants.map(p =>
+            p ? applyPresencePrivacy(p.toObject(), presence) : p
+        );
+
         // Format chats with unread count and saved names
         const formattedChats = chats.map(chat => {
+            const unreadCount = chat.unreadCount.get(currentUserId.toString()) || 0;
+
+            if (chat.isGroup) {
+                return {
+                    ...chat.toObject(),
+                    participants: visibleParticipants(chat),
+                    displayName: chat.groupName,
+                    isAdmin: isGroupAdmin(chat, currentUserId),
+                    unreadCount
+                };
+            }
+
             const otherParticipant = chat.participants.find(
                 p => p && p._id.toString() !== currentUserId.toString()
             );
-            const unreadCount = chat.unreadCount.get(currentUserId.toString()) || 0;
 
             // If other participant is deleted (null), we still return the chat but indicate deleted user
             if (!otherParticipant) {
@@ -250,12 +416,19 @@ exports.getChats = async (req, res) => {
             const savedName = contactMap[otherParticipant._id.toString()] || null;
             const displayName = savedName || otherParticipant.phoneNumber;
 
+            const participantId = otherParticipant._id.toString();
+            const profile = blockedBy.has(participantId)
+                ? stripBlockedProfile(otherParticipant.toObject())
+                : applyPresencePrivacy(otherParticipant.toObject(), presence);
+
             return {
                 ...chat.toObject(),
+                participants: visibleParticipants(chat),
                 otherParticipant: {
-                    ...otherParticipant.toObject(),
+                    ...profile,
                     savedName,
-                    displayName
+                    displayName,
+                    isBlocked: hasBlocked(currentUser, participantId)
                 },
                 unreadCount
             };
@@ -269,7 +442,8 @@ exports.getChats = async (req, res) => {
         // Simpler: fetch support user first
         const supportUser = await User.findOne({ phoneNumber: defaultSupportPhone });
 
-        if (supportUser && supportUser._id.toString() !== currentUserId.toString()) {
+        // The virtual chat is only added to the first page
+        if (!before && !after && supportUser && supportUser._id.toString() !== currentUserId.toString()) {
             // Check if already in chats
             const alreadyHasChat = formattedChats.some(chat =>
                 chat.otherParticipant &&
@@ -280,16 +454,18 @@ exports.getChats = async (req, res) => {
                 // Add virtual chat
                 const savedName = contactMap[supportUser._id.toString()] || null;
                 const displayName = savedName || supportUser.name || 'Team'; // Use 'Team' or name if set
+                const supportPresence = await loadPresenceContext(currentUserId, [supportUser._id]);
+                const supportProfile = applyPresencePrivacy(supportUser.toObject(), supportPresence);
 
                 formattedChats.unshift({
                     _id: 'virtual_' + supportUser._id, // Client uses this for key
-                    participants: [supportUser], // Simplified
+                    participants: [supportProfile], // Simplified
                     unreadCount: 0,
                     lastMessage: null, // Shows as "No messages" or we can mock one
                     createdAt: new Date(),
                     updatedAt: new Date(), // Put it at the top
                     otherParticipant: {
-                        ...supportUser.toObject(),
+                        ...supportProfile,
                         savedName,
                         displayName: displayName || supportUser.phoneNumber
                     }
@@ -297,7 +473,11 @@ exports.getChats = async (req, res) => {
             }
         }
 
-        res.status(200).json(formattedChats);
+        res.status(200).json({
+            chats: formattedChats,
+            hasMore,
+            nextCursor: hasMore && edge ? encodeCursor(edge, 'updatedAt') : null
+        });
     } catch (error) {
         console.error('Get Chats Error:', error);
         res.status(500).json({ error: 'Failed to fetch chats' });
@@ -316,8 +496,8 @@ exports.searchUserByPhone = async (req, res) => {
             return res.status(400).json({ error: 'Phone number is required' });
         }
 
-        // Find user by phone number
-        const user = await User.findOne({ phoneNumber });
+        // Find user by phone number (formatting such as spaces and dashes is ignored)
+        const user = await findUserByPhone(phoneNumber);
 
         if (!user) {
             return res.status(404).json({ error: 'User not found' });
@@ -328,20 +508,24 @@ exports.searchUserByPhone = async (req, res) => {
         }
 
         // Check if chat already exists
-        const existingChat = await Chat.findOne({
-            participants: { $all: [currentUserId, user._id] }
-        });
+        const existingChat = await findDirectChat(currentUserId, user._id);
+
+        const profile = {
+            _id: user._id,
+            phoneNumber: user.phoneNumber,
+            profilePicture: user.profilePicture,
+            about: user.about,
+            isOnline: user.isOnline,
+            lastSeen: user.lastSeen,
+            privacySettings: user.privacySettings
+        };
+
+        const presence = await loadPresenceContext(currentUserId, [user._id]);
 
         res.status(200).json({
-            user: {
-                _id: user._id,
-                phoneNumber: user.phoneNumber,
-                profilePicture: user.profilePicture,
-                about: user.about,
-                isOnline: user.isOnline,
-                lastSeen: user.lastSeen,
-                privacySettings: user.privacySettings
-            },
+            user: hasBlocked(user, currentUserId)
+                ? stripBlockedProfile(profile)
+                : applyPresencePrivacy(profile, presence),
             chatId: existingChat ? existingChat._id : null
         });
 
@@ -351,6 +535,149 @@ exports.searchUserByPhone = async (req, res) => {
     }
 };
 
+/**
+ * Search message text across all of the user's chats, or inside one chat
+ * Query: q, chatId, senderId, from, to, type, before (nextCursor, message ID or timestamp), limit
+ */
+exports.searchMessages = async (req, res) => {
+    const { q, chatId, senderId, from, to, type, before } = req.query;
+    const currentUserId = req.userId;
+    const limit = parseLimit(req.query.limit, 20);
+
+    if (!q || !q.trim()) {
+        return res.status(400).json({ error: 'Search query is required' });
+    }
+
+    if (q.length > 100) {
+        return res.status(400).json({ error: 'Search query must be 100 characters or less' });
+    }
+
+    if (type && !['text', 'emoji', ...MEDIA_MESSAGE_TYPES, ...LOCATION_MESSAGE_TYPES, 'contact'].includes(type)) {
+        return res.status(400).json({ error: 'Invalid message type' });
+    }
+
+    if (chatId && !mongoose.isValidObjectId(chatId)) {
+        return res.status(400).json({ error: 'Invalid chat ID' });
+    }
+
+    if (senderId && !mongoose.isValidObjectId(senderId)) {
+        return res.status(400).json({ error: 'Invalid sender ID' });
+    }
+
+    try {
+        let chatIds;
+
+        if (chatId) {
+            const chat = await Chat.findById(chatId).select('participants');
+            if (!chat) {
+                return res.status(404).json({ error: 'Chat not found' });
+            }
+            if (!isParticipant(chat, currentUserId)) {
+                return res.status(403).json({ error: 'You are not a participant of this chat' });
+            }
+            chatIds = [chat._id];
+        } else {
+            chatIds = await Chat.find({ participants: currentUserId }).distinct('_id');
+        }
+
+        // deletedFor also covers messages hidden by clearChat; expired ones may not be swept yet
+        const filter = {
+            $text: { $search: q.trim() },
+            chatId: { $in: chatIds },
+            type: type || { $ne: 'system' },
+            isDeleted: false,
+            deletedFor: { $ne: currentUserId },
+            expiresAt: { $not: { $lte: new Date() } }
+        };
+
+        if (senderId) filter.senderId = senderId;
+
+        const createdAt = {};
+        if (from) {
+            const fromDate = new Date(from);
+            if (isNaN(fromDate.getTime())) {
+                return res.status(400).json({ error: 'Invalid from date' });
+            }
+            createdAt.$gte = fromDate;
+        }
+        if (to) {
+            const toDate = new Date(to);
+            if (isNaN(toDate.getTime())) {
+                return res.status(400).json({ error: 'Invalid to date' });
+            }
+            createdAt.$lte = toDate;
+        }
+        if (Object.keys(createdAt).length > 0) filter.createdAt = createdAt;
+        if (before) {
+            const position = await resolveCursor(Message, before, 'createdAt', { chatId: { $in: chatIds } });
+            if (!position) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+            Object.assign(filter, cursorFilter('createdAt', position, 'before'));
+        }
+
+        // Fetch one extra message to know whether there is another page
+        const page = await Message.find(filter)
+            .sort({ createdAt: -1, _id: -1 })
+            .limit(limit + 1)
+            .populate('senderId', 'name phoneNumber profilePicture')
+            .populate('chatId', 'isGroup groupName groupIcon participants')
+            .lean();
+
+        const hasMore = page.length > limit;
+        if (hasMore) page.pop();
+
+        // Get saved contact names for current user
+        const contacts = await Contact.find({ userId: currentUserId });
+        const contactMap = {};
+        contacts.forEach(contact => {
+            contactMap[contact.contactUserId.toString()] = contact.savedName;
+        });
+
+        const terms = parseSearchTerms(q);
+        const results = page.map(message => {
+            const chat = message.chatId;
+            const sender = message.senderId;
+            const savedName = sender ? contactMap[sender._id.toString()] || null : null;
+            const otherParticipantId = chat && !chat.isGroup
+                ? chat.participants.find(p => p.toString() !== currentUserId.toString()) || null
+                : null;
+
+            return {
+                _id: message._id,
+                type: message.type,
+                text: message.text,
+                media: message.media,
+                createdAt: message.createdAt,
+                ...buildSnippet(message.text, terms),
+                chat: chat ? {
+                    _id: chat._id,
+                    isGroup: chat.isGroup || false,
+                    groupName: chat.groupName || null,
+                    groupIcon: chat.groupIcon || null,
+                    otherParticipantId
+                } : null,
+                sender: sender ? {
+                    _id: sender._id,
+                    phoneNumber: sender.phoneNumber,
+                    profilePicture: sender.profilePicture,
+                    savedName,
+                    displayName: savedName || sender.phoneNumber
+                } : null
+            };
+        });
+
+        res.status(200).json({
+            results,
+            hasMore,
+            nextCursor: hasMore && page.length > 0 ? encodeCursor(page[page.length - 1], 'createdAt') : null
+        });
+    } catch (error) {
+        console.error('Search Messages Error:', error);
+        res.status(500).json({ error: 'Failed to search messages' });
+    }
+};
+
 /**
  * Start a new chat with a user (creates empty chat or returns existing)
  */
@@ -369,25 +696,32 @@ exports.startChat = async (req, res) => {
             return res.status(404).json({ error: 'User not found' });
         }
 
+        const blockedByOther = hasBlocked(otherUser, currentUserId);
+
         // Check if chat already exists
-        let chat = await Chat.findOne({
-            participants: { $all: [currentUserId, userId] }
-        });
+        let chat = await findDirectChat(currentUserId, userId);
 
         if (!chat) {
             chat = await Chat.create({
                 participants: [currentUserId, userId],
-                unreadCount: new Map()
+                unreadCount: new Map(),
+                // Don't surface an empty chat to someone who blocked the creator
+                deletedBy: blockedByOther ? [userId] : []
             });
         }
 
         // Populate participants for frontend
         await chat.populate('participants', 'phoneNumber profilePicture about isOnline lastSeen privacySettings');
 
+        const otherParticipant = chat.participants.find(p => p._id.toString() !== currentUserId.toString());
+        const presence = await loadPresenceContext(currentUserId, [userId]);
+        const profile = applyPresencePrivacy(otherParticipant.toObject(), presence);
+
         // Format for response
         const formattedChat = {
             ...chat.toObject(),
-            otherParticipant: chat.participants.find(p => p._id.toString() !== currentUserId.toString()),
+            participants: chat.participants.map(p => applyPresencePrivacy(p.toObject(), presence)),
+            otherParticipant: blockedByOther ? stripBlockedProfile(profile) : profile,
             unreadCount: 0
         };
 
@@ -415,28 +749,42 @@ exports.updateMessageStatus = async (req, res) => {
     }
 
     try {
-        const message = await Message.findById(messageId).populate('senderId', '_id');
-
-        if (!message) {
+        const found = await findVisibleMessage(messageId, currentUserId);
+        if (!found) {
             return res.status(404).json({ error: 'Message not found' });
         }
+        const { message } = found;
+        await message.populate('senderId', '_id');
 
-        // Only recipient can update status
-        // If sender is deleted (null), anyone can update or we treat as valid
-        if (message.senderId && message.senderId._id.toString() === currentUserId.toString()) {
+        // Only recipients can update status; a deleted sender (null) has nobody to notify
+        const senderId = message.senderId ? message.senderId._id.toString() : null;
+        if (senderId === currentUserId.toString()) {
             return res.status(403).json({ error: 'Cannot update own message status' });
         }
 
-        message.status = status;
-        await message.save();
+        // Without read receipts on both sides the sender only ever sees delivered
+        let effectiveStatus = status;
+        if (status === 'read' && senderId) {
+            const receiptSenders = await getReadReceiptSenders(currentUserId, [senderId]);
+            if (!receiptSenders.has(senderId)) {
+                effectiveStatus = 'delivered';
+            }
+        }
 
-        // Notify sender
-        getIO().to(message.senderId._id.toString()).emit('messageStatusUpdate', {
-            messageId: message._id.toString(),
-            status
-        });
+        if (message.status !== effectiveStatus) {
+            message.status = effectiveStatus;
+            await message.save();
 
-        res.status(200).json({ message: 'Status updated', status });
+            // Notify sender
+            if (senderId) {
+                getIO().to(senderId).emit('messageStatusUpdate', {
+                    messageId: message._id.toString(),
+                    status: effectiveStatus
+                });
+            }
+        }
+
+        res.status(200).json({ message: 'Status updated', status: effectiveStatus });
     } catch (error) {
         console.error('Update Message Status Error:', error);
         res.status(500).json({ error: 'Failed to update message status' });
@@ -460,11 +808,11 @@ exports.addReaction = async (req, res) => {
     }
 
     try {
-        const message = await Message.findById(messageId).populate('senderId', '_id');
-
-        if (!message) {
+        const found = await findVisibleMessage(messageId, currentUserId);
+        if (!found) {
             return res.status(404).json({ error: 'Message not found' });
         }
+        const { message, chat } = found;
 
         // Remove existing reaction from this user if exists
         message.reactions = message.reactions.filter(
@@ -476,18 +824,15 @@ exports.addReaction = async (req, res) => {
         await message.save();
 
         // Notify chat participants
-        const chat = await Chat.findById(message.chatId);
-        if (chat) {
-            chat.participants.forEach(participantId => {
-                getIO().to(participantId.toString()).emit('messageReaction', {
-                    messageId: message._id.toString(),
-                    userId: currentUserId.toString(),
-                    emoji
-                });
+        chat.participants.forEach(participantId => {
+            getIO().to(participantId.toString()).emit('messageReaction', {
+                messageId: message._id.toString(),
+                userId: currentUserId.toString(),
+                emoji
             });
-        }
+        });
 
-        res.status(200).json(message);
+        res.status(200).json({ messageId: message._id, reactions: message.reactions });
     } catch (error) {
         console.error('Add Reaction Error:', error);
         res.status(500).json({ error: 'Failed to add reaction' });
@@ -506,11 +851,11 @@ exports.removeReaction = async (req, res) => {
     }
 
     try {
-        const message = await Message.findById(messageId);
-
-        if (!message) {
+        const found = await findVisibleMessage(messageId, currentUserId);
+        if (!found) {
             return res.status(404).json({ error: 'Message not found' });
         }
+        const { message, chat } = found;
 
         message.reactions = message.reactions.filter(
             r => r.userId.toString() !== currentUserId.toString()
@@ -518,17 +863,14 @@ exports.removeReaction = async (req, res) => {
         await message.save();
 
         // Notify chat participants
-        const chat = await Chat.findById(message.chatId);
-        if (chat) {
-            chat.participants.forEach(participantId => {
-                getIO().to(participantId.toString()).emit('messageReactionRemoved', {
-                    messageId: message._id.toString(),
-                    userId: currentUserId.toString()
-                });
+        chat.participants.forEach(participantId => {
+            getIO().to(participantId.toString()).emit('messageReactionRemoved', {
+                messageId: message._id.toString(),
+                userId: currentUserId.toString()
             });
-        }
+        });
 
-        res.status(200).json(message);
+        res.status(200).json({ messageId: message._id, reactions: message.reactions });
     } catch (error) {
         console.error('Remove Reaction Error:', error);
         res.status(500).json({ error: 'Failed to remove reaction' });
@@ -561,11 +903,16 @@ exports.deleteMessage = async (req, res) => {
 
         if (deleteForEveryone && isSender) {
             // Delete for everyone
+            const { url, thumbnail } = message.media || {};
             message.isDeleted = true;
             message.text = 'This message was deleted';
             message.media = null;
             await message.save();
 
+            // Its file stops being served unless another message still uses it
+            await removeMediaIfUnused(url);
+            await removeMediaIfUnused(thumbnail);
+
             // Notify all participants
             const chat = await Chat.findById(message.chatId);
             if (chat) {
@@ -597,6 +944,123 @@ exports.deleteMessage = async (req, res) => {
     }
 };
 
+/**
+ * Edit a sent text message within the edit window
+ */
+exports.editMessage = async (req, res) => {
+    const { messageId, text } = req.body;
+    const currentUserId = req.userId;
+
+    if (!messageId) {
+        return res.status(400).json({ error: 'Message ID is required' });
+    }
+
+    const validation = validateMessage({ type: 'text', text });
+    if (!validation.valid) {
+        return res.status(400).json({ error: validation.error });
+    }
+
+    const sanitizedText = sanitizeText(text);
+    if (!sanitizedText) {
+        return res.status(400).json({ error: 'Text is required for text messages' });
+    }
+
+    try {
+        const message = await Message.findById(messageId);
+
+        if (!message || message.isDeleted || message.deletedFor.some(id => id.toString() === currentUserId.toString())) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+
+        if (message.senderId.toString() !== currentUserId.toString()) {
+            return res.status(403).json({ error: 'Only sender can edit a message' });
+        }
+
+        if (message.type !== 'text' || message.forwardedFrom) {
+            return res.status(400).json({ error: 'Only text messages you wrote can be edited' });
+        }
+
+        if (Date.now() - message.createdAt.getTime() > EDIT_WINDOW_MS) {
+            return res.status(403).json({ error: 'Edit window has expired for this message' });
+        }
+
+        if (message.text === sanitizedText) {
+            return res.status(400).json({ error: 'Message text is unchanged' });
+        }
+
+        const chat = await Chat.findById(message.chatId);
+        if (!chat || !isParticipant(chat, currentUserId)) {
+            return res.status(403).json({ error: 'You are not a participant of this chat' });
+        }
+
+        // Keep the version being replaced
+        const editedAt = new Date();
+        message.editHistory.push({
+            text: message.text,
+            createdAt: message.editedAt || message.createdAt
+        });
+        message.text = sanitizedText;
+        message.editedAt = editedAt;
+        await message.save();
+
+        // Notify all participants; isLastMessage lets clients refresh the chat list preview
+        emitToParticipants(chat, 'messageEdited', {
+            messageId: message._id.toString(),
+            chatId: chat._id.toString(),
+            text: message.text,
+            editedAt,
+            isLastMessage: chat.lastMessage?.toString() === message._id.toString()
+        });
+
+        const response = message.toObject();
+        delete response.editHistory;
+
+        res.status(200).json(response);
+    } catch (error) {
+        console.error('Edit Message Error:', error);
+        res.status(500).json({ error: 'Failed to edit message' });
+    }
+};
+
+/**
+ * Get the earlier versions of an edited message, oldest first
+ */
+exports.getEditHistory = async (req, res) => {
+    const { messageId } = req.params;
+    const currentUserId = req.userId;
+
+    if (!mongoose.isValidObjectId(messageId)) {
+        return res.status(404).json({ error: 'Message not found' });
+    }
+
+    try {
+        const message = await Message.findOne({
+            _id: messageId,
+            isDeleted: false,
+            deletedFor: { $ne: currentUserId },
+            expiresAt: { $not: { $lte: new Date() } }
+        }).select('chatId text editedAt editHistory createdAt');
+        if (!message) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+
+        const chat = await Chat.findById(message.chatId).select('participants');
+        if (!chat || !isParticipant(chat, currentUserId)) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+
+        res.status(200).json({
+            messageId: message._id,
+            text: message.text,
+            editedAt: message.editedAt || null,
+            editHistory: message.editHistory
+        });
+    } catch (error) {
+        console.error('Get Edit History Error:', error);
+        res.status(500).json({ error: 'Failed to fetch edit history' });
+    }
+};
+
 /**
  * Forward message to one or more recipients
  */
@@ -609,44 +1073,73 @@ exports.forwardMessage = async (req, res) => {
     }
 
     try {
-        const originalMessage = await Message.findById(messageId);
-
-        if (!originalMessage) {
+        // Only a message the sender can currently see in one of their chats
+        const found = await findVisibleMessage(messageId, senderId);
+        if (!found) {
             return res.status(404).json({ error: 'Message not found' });
         }
+        const originalMessage = found.message;
+
+        if (originalMessage.type === 'system') {
+            return res.status(400).json({ error: 'System messages cannot be forwarded' });
+        }
+
+        const media = originalMessage.media || {};
+        for (const url of [media.url, media.thumbnail].filter(Boolean)) {
+            if (!(await canUseMedia(senderId, url))) {
+                return res.status(403).json({ error: 'Media not found' });
+            }
+        }
 
         const forwardedMessages = [];
+        const sender = await User.findById(senderId).select('blockedUsers');
 
         for (const recipientId of recipientIds) {
             // Validate recipient
             const recipient = await User.findById(recipientId);
-            if (!recipient) continue;
+            if (!recipient || hasBlocked(sender, recipientId)) continue;
+
+            // Blocked by the recipient: keep the copy for the sender only (see sendMessage)
+            const silenced = hasBlocked(recipient, senderId);
 
             // Find or create chat
-            let chat = await Chat.findOne({
-                participants: { $all: [senderId, recipientId] }
-            });
+            let chat = await findDirectChat(senderId, recipientId);
 
             if (!chat) {
                 chat = await Chat.create({
                     participants: [senderId, recipientId],
-                    unreadCount: new Map()
+                    unreadCount: new Map(),
+                    deletedBy: silenced ? [recipientId] : []
                 });
             }
 
-            // Create forwarded message
+            // Create forwarded message; a live location is forwarded as its current position
             const forwardedMessage = await Message.create({
                 chatId: chat._id,
                 senderId,
                 text: originalMessage.text,
-                type: originalMessage.type,
+                type: originalMessage.type === 'live_location' ? 'location' : originalMessage.type,
                 media: originalMessage.media,
+                location: originalMessage.location,
+                contacts: originalMessage.contacts,
                 forwardedFrom: originalMessage._id,
-                status: 'sent'
+                status: 'sent',
+                deletedFor: silenced ? [recipientId] : [],
+                silenced: silenced || undefined,
+                expiresAt: chat.disappearingDuration
+                    ? new Date(Date.now() + chat.disappearingDuration * 1000)
+                    : null
             });
 
             await forwardedMessage.populate('senderId', 'name phoneNumber profilePicture');
 
+            if (silenced) {
+                const payload = forwardedMessage.toObject();
+                delete payload.silenced;
+                forwardedMessages.push(payload);
+                continue;
+            }
+
             // Update chat
             chat.lastMessage = forwardedMessage._id;
 
@@ -663,7 +1156,7 @@ exports.forwardMessage = async (req, res) => {
             await chat.save();
 
             // Emit to recipient
-            getIO().to(recipientId.toString()).emit('newMessage', forwardedMessage);
+            getIO().to(recipientId.toString()).emit('newMessage', signMediaUrls(forwardedMessage));
 
             forwardedMessages.push(forwardedMessage);
         }
@@ -742,6 +1235,94 @@ exports.deleteContactName = async (req, res) => {
     }
 };
 
+/**
+ * Block a user
+ */
+exports.blockUser = async (req, res) => {
+    const { userId } = req.body;
+    const currentUserId = req.userId;
+
+    if (!userId) {
+        return res.status(400).json({ error: 'User ID is required' });
+    }
+
+    if (userId.toString() === currentUserId.toString()) {
+        return res.status(400).json({ error: 'Cannot block yourself' });
+    }
+
+    try {
+        const userToBlock = await User.findById(userId);
+        if (!userToBlock) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        // The blocked user is intentionally not notified
+        await User.findByIdAndUpdate(currentUserId, { $addToSet: { blockedUsers: userId } });
+
+        res.status(200).json({ message: 'User blocked', blocked: true });
+    } catch (error) {
+        console.error('Block User Error:', error);
+        res.status(500).json({ error: 'Failed to block user' });
+    }
+};
+
+/**
+ * Unblock a user
+ */
+exports.unblockUser = async (req, res) => {
+    const { userId } = req.body;
+    const currentUserId = req.userId;
+
+    if (!userId) {
+        return res.status(400).json({ error: 'User ID is required' });
+    }
+
+    try {
+        await User.findByIdAndUpdate(currentUserId, { $pull: { blockedUsers: userId } });
+
+        res.status(200).json({ message: 'User unblocked', blocked: false });
+    } catch (error) {
+        console.error('Unblock User Error:', error);
+        res.status(500).json({ error: 'Failed to unblock user' });
+    }
+};
+
+/**
+ * Get users blocked by the current user, with saved contact names
+ */
+exports.getBlockedUsers = async (req, res) => {
+    const currentUserId = req.userId;
+
+    try {
+        const user = await User.findById(currentUserId)
+            .populate('blockedUsers', 'phoneNumber profilePicture about');
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const contacts = await Contact.find({ userId: currentUserId });
+        const contactMap = {};
+        contacts.forEach(contact => {
+            contactMap[contact.contactUserId.toString()] = contact.savedName;
+        });
+
+        const blockedUsers = user.blockedUsers.filter(Boolean).map(blocked => {
+            const savedName = contactMap[blocked._id.toString()] || null;
+            return {
+                ...blocked.toObject(),
+                savedName,
+                displayName: savedName || blocked.phoneNumber
+            };
+        });
+
+        res.status(200).json(blockedUsers);
+    } catch (error) {
+        console.error('Get Blocked Users Error:', error);
+        res.status(500).json({ error: 'Failed to fetch blocked users' });
+    }
+};
+
 // ... (previous code)
 
 /**
@@ -796,6 +1377,55 @@ exports.deleteChat = async (req, res) => {
     }
 };
 
+/**
+ * Set the disappearing messages timer of a chat (any participant may change it)
+ */
+exports.setDisappearingTimer = async (req, res) => {
+    const { chatId, duration } = req.body;
+    const currentUserId = req.userId;
+
+    if (!chatId) {
+        return res.status(400).json({ error: 'Chat ID is required' });
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(DISAPPEARING_TIMERS, duration)) {
+        return res.status(400).json({
+            error: `Invalid duration. Allowed: ${Object.keys(DISAPPEARING_TIMERS).join(', ')}`
+        });
+    }
+
+    try {
+        const chat = await Chat.findById(chatId);
+        if (!chat) return res.status(404).json({ error: 'Chat not found' });
+
+        if (!isParticipant(chat, currentUserId)) {
+            return res.status(403).json({ error: 'You are not a participant of this chat' });
+        }
+
+        const seconds = DISAPPEARING_TIMERS[duration];
+        if (chat.disappearingDuration !== seconds) {
+            chat.disappearingDuration = seconds;
+
+            const actor = await User.findById(currentUserId);
+            await createSystemMessage(chat, currentUserId, 'disappearing_timer_changed', seconds
+                ? `${displayNameOf(actor)} turned on disappearing messages. New messages will disappear ${duration} after they're sent.`
+                : `${displayNameOf(actor)} turned off disappearing messages.`);
+
+            emitToParticipants(chat, 'disappearingTimerChanged', {
+                chatId: chat._id.toString(),
+                duration,
+                seconds,
+                changedBy: currentUserId.toString()
+            });
+        }
+
+        res.status(200).json({ duration, seconds });
+    } catch (error) {
+        console.error('Set Disappearing Timer Error:', error);
+        res.status(500).json({ error: 'Failed to update disappearing messages' });
+    }
+};
+
 /**
  * Clear chat history
  */
@@ -817,22 +1447,107 @@ exports.clearChat = async (req, res) => {
     }
 };
 
-// Helper function to update message status
-async function updateMessageStatus(messageId, status, senderId) {
-    try {
-        const message = await Message.findById(messageId);
-        if (message && message.status !== status) {
-            message.status = status;
-            await message.save();
+// Load a page of visible messages for a chat, mark incoming ones as read and reset unread count.
+// Pages are read through the { chatId: 1, createdAt: -1, _id: -1 } index and returned oldest-first.
+// Returns { error } when the cursor cannot be resolved.
+async function loadChatHistory(chat, currentUserId, query = {}) {
+    const { before, after } = query;
+    const limit = parseLimit(query.limit);
 
-            if (message.senderId) {
-                getIO().to(senderId.toString()).emit('messageStatusUpdate', {
-                    messageId: message._id.toString(),
-                    status
-                });
-            }
+    if (before && after) {
+        return { error: 'Use either before or after, not both' };
+    }
+
+    // Exclude messages deleted for everyone or for current user, and expired ones not swept yet
+    const filter = {
+        chatId: chat._id,
+        isDeleted: false,
+        deletedFor: { $ne: currentUserId },
+        expiresAt: { $not: { $lte: new Date() } }
+    };
+
+    if (before || after) {
+        const position = await resolveCursor(Message, before || after, 'createdAt', { chatId: chat._id });
+        if (!position) {
+            return { error: 'Invalid cursor' };
         }
-    } catch (error) {
-        console.error('Update Message Status Helper Error:', error);
+        Object.assign(filter, cursorFilter('createdAt', position, before ? 'before' : 'after'));
+    }
+
+    // Fetch one extra message to know whether there is another page
+    const page = await Message.find(filter)
+        .sort(after ? { createdAt: 1, _id: 1 } : { createdAt: -1, _id: -1 })
+        .limit(limit + 1)
+        .populate('senderId', 'name phoneNumber profilePicture')
+        .populate('forwardedFrom', 'text type media')
+        .populate(REPLY_PREVIEW_POPULATE)
+        .select('-editHistory')
+        .lean();
+
+    const hasMore = page.length > limit;
+    if (hasMore) page.pop();
+
+    page.forEach(message => {
+        if (message.replyTo) message.replyTo = buildReplyPreview(message.replyTo, currentUserId);
+    });
+
+    const messages = after ? page : page.reverse();
+    const edge = after ? messages[messages.length - 1] : messages[0];
+
+    // Opening the chat delivers everything still pending in it
+    await messageService.deliverPendingMessages(currentUserId, { chatId: chat._id });
+
+    // Mark messages as read when user opens chat, for senders that get read receipts
+    const unreadFilter = {
+        chatId: chat._id,
+        senderId: { $ne: currentUserId },
+        status: { $ne: 'read' },
+        isDeleted: false,
+        deletedFor: { $ne: currentUserId }
+    };
+    const unreadSenders = await Message.distinct('senderId', unreadFilter);
+    const senders = unreadSenders.length > 0
+        ? [...await getReadReceiptSenders(currentUserId, unreadSenders)]
+        : [];
+
+    if (senders.length > 0) {
+        await Message.updateMany({ ...unreadFilter, senderId: { $in: senders } }, { $set: { status: 'read' } });
+
+        // Emit read status updates to senders
+        senders.forEach(senderId => {
+            getIO().to(senderId.toString()).emit('messagesRead', {
+                chatId: chat._id.toString(),
+                readerId: currentUserId.toString()
+            });
+        });
     }
+
+    // Reset unread count
+    chat.unreadCount.set(currentUserId.toString(), 0);
+    await chat.save();
+
+    return {
+        messages,
+        hasMore,
+        nextCursor: hasMore && edge ? encodeCursor(edge, 'createdAt') : null
+    };
+}
+
+// A message the user can see right now: in one of their chats, not deleted for them and not expired.
+// Returns { message, chat } or null.
+async function findVisibleMessage(messageId, userId) {
+    if (!mongoose.isValidObjectId(messageId)) return null;
+
+    const message = await Message.findOne({
+        _id: messageId,
+        isDeleted: false,
+        deletedFor: { $ne: userId },
+        expiresAt: { $not: { $lte: new Date() } }
+    });
+    if (!message) return null;
+
+    const chat = await Chat.findById(message.chatId).select('participants');
+    if (!chat || !isParticipant(chat, userId)) return null;
+
+    return { message, chat };
 }
@@ -0,0 +1,433 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const User = require('../models/User');
+const {
+    isParticipant,
+    isGroupAdmin,
+    emitToParticipants,
+    createSystemMessage,
+    displayNameOf
+} = require('../utils/chatHelpers');
+const { checkPictureUrl } = require('../utils/media');
+
+// Group payloads are broadcast to every member, so presence is left out of them;
+// clients get it per viewer from the chat list, profiles and userStatusChange
+const GROUP_PARTICIPANT_FIELDS = 'name phoneNumber profilePicture about';
+const MAX_GROUP_SIZE = 256;
+
+/**
+ * Create a new group chat
+ */
+exports.createGroup = async (req, res) => {
+    const { name, description, icon, participantIds } = req.body;
+    const currentUserId = req.userId;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ error: 'Group name is required' });
+    }
+
+    if (name.trim().length > 100) {
+        return res.status(400).json({ error: 'Group name must be 100 characters or less' });
+    }
+
+    if (description !== undefined && (typeof description !== 'string' || description.length > 512)) {
+        return res.status(400).json({ error: 'Description must be a string with max 512 characters' });
+    }
+
+    if (!Array.isArray(participantIds) || participantIds.length === 0) {
+        return res.status(400).json({ error: 'At least one participant is required' });
+    }
+
+    try {
+        const memberIds = uniqueIds([currentUserId, ...participantIds]);
+
+        if (memberIds.length > MAX_GROUP_SIZE) {
+            return res.status(400).json({ error: `Groups are limited to ${MAX_GROUP_SIZE} members` });
+        }
+
+        const users = await User.find({ _id: { $in: memberIds } }).select('_id');
+        if (users.length !== memberIds.length) {
+            return res.status(404).json({ error: 'One or more participants not found' });
+        }
+
+        const groupIcon = await checkPictureUrl(currentUserId, icon);
+        if (groupIcon.error) {
+            return res.status(400).json({ error: groupIcon.error });
+        }
+
+        const chat = await Chat.create({
+            isGroup: true,
+            groupName: name.trim(),
+            groupDescription: description ? description.trim() : '',
+            groupIcon: groupIcon.url,
+            participants: memberIds,
+            admins: [currentUserId],
+            createdBy: currentUserId,
+            unreadCount: new Map()
+        });
+
+        const actor = await User.findById(currentUserId);
+        await createSystemMessage(chat, currentUserId, 'group_created',
+            `${displayNameOf(actor)} created group "${chat.groupName}"`);
+
+        const group = await formatGroup(chat);
+        emitToParticipants(chat, 'groupUpdated', { action: 'group_created', group });
+
+        res.status(201).json(group);
+    } catch (error) {
+        console.error('Create Group Error:', error);
+        res.status(500).json({ error: 'Failed to create group' });
+    }
+};
+
+/**
+ * Get group details (metadata, members and admins)
+ */
+exports.getGroupInfo = async (req, res) => {
+    const { chatId } = req.params;
+    const currentUserId = req.userId;
+
+    if (!mongoose.isValidObjectId(chatId)) {
+        return res.status(404).json({ error: 'Group not found' });
+    }
+
+    try {
+        const chat = await Chat.findOne({ _id: chatId, isGroup: true });
+        if (!chat) return res.status(404).json({ error: 'Group not found' });
+
+        if (!isParticipant(chat, currentUserId)) {
+            return res.status(403).json({ error: 'You are not a member of this group' });
+        }
+
+        res.status(200).json(await formatGroup(chat));
+    } catch (error) {
+        console.error('Get Group Info Error:', error);
+        res.status(500).json({ error: 'Failed to fetch group' });
+    }
+};
+
+/**
+ * Update group metadata and settings (admins only)
+ */
+exports.updateGroup = async (req, res) => {
+    const { chatId, name, description, icon, onlyAdminsCanPost } = req.body;
+    const currentUserId = req.userId;
+
+    try {
+        const chat = await loadGroupForAdmin(chatId, currentUserId, res);
+        if (!chat) return;
+
+        const changes = [];
+
+        if (name !== undefined) {
+            if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+                return res.status(400).json({ error: 'Group name must be 1-100 characters' });
+            }
+            if (chat.groupName !== name.trim()) {
+                chat.groupName = name.trim();
+                changes.push(`changed the group name to "${chat.groupName}"`);
+            }
+        }
+
+        if (description !== undefined) {
+            if (typeof description !== 'string' || description.length > 512) {
+                return res.status(400).json({ error: 'Description must be a string with max 512 characters' });
+            }
+            chat.groupDescription = description.trim();
+            changes.push('changed the group description');
+        }
+
+        if (icon !== undefined) {
+            const groupIcon = await checkPictureUrl(currentUserId, icon, chat.groupIcon);
+            if (groupIcon.error) {
+                return res.status(400).json({ error: groupIcon.error });
+            }
+            chat.groupIcon = groupIcon.url;
+            changes.push(groupIcon.url ? 'changed the group icon' : 'removed the group icon');
+        }
+
+        if (onlyAdminsCanPost !== undefined) {
+            chat.onlyAdminsCanPost = Boolean(onlyAdminsCanPost);
+            changes.push(chat.onlyAdminsCanPost
+                ? 'changed the group settings so only admins can send messages'
+                : 'changed the group settings so all members can send messages');
+        }
+
+        if (changes.length === 0) {
+            return res.status(400).json({ error: 'Nothing to update' });
+        }
+
+        const actor = await User.findById(currentUserId);
+        for (const change of changes) {
+            await createSystemMessage(chat, currentUserId, 'group_updated',
+                `${displayNameOf(actor)} ${change}`);
+        }
+
+        const group = await formatGroup(chat);
+        emitToParticipants(chat, 'groupUpdated', { action: 'group_updated', group });
+
+        res.status(200).json(group);
+    } catch (error) {
+        console.error('Update Group Error:', error);
+        res.status(500).json({ error: 'Failed to update group' });
+    }
+};
+
+/**
+ * Add members to a group (admins only)
+ */
+exports.addMembers = async (req, res) => {
+    const { chatId, userIds } = req.body;
+    const currentUserId = req.userId;
+
+    if (!Array.isArray(userIds) || userIds.length === 0) {
+        return res.status(400).json({ error: 'User IDs are required' });
+    }
+
+    try {
+        const chat = await loadGroupForAdmin(chatId, currentUserId, res);
+        if (!chat) return;
+
+        const newIds = uniqueIds(userIds).filter(id => !isParticipant(chat, id));
+        if (newIds.length === 0) {
+            return res.status(400).json({ error: 'Users are already members of this group' });
+        }
+
+        if (chat.participants.length + newIds.length > MAX_GROUP_SIZE) {
+            return res.status(400).json({ error: `Groups are limited to ${MAX_GROUP_SIZE} members` });
+        }
+
+        const users = await User.find({ _id: { $in: newIds } });
+        if (users.length !== newIds.length) {
+            return res.status(404).json({ error: 'One or more users not found' });
+        }
+
+        chat.participants.push(...newIds);
+        chat.deletedBy = (chat.deletedBy || []).filter(id => !newIds.includes(id.toString()));
+
+        const actor = await User.findById(currentUserId);
+        await createSystemMessage(chat, currentUserId, 'member_added',
+            `${displayNameOf(actor)} added ${users.map(displayNameOf).join(', ')}`, newIds);
+
+        const group = await formatGroup(chat);
+        emitToParticipants(chat, 'groupUpdated', { action: 'member_added', userIds: newIds, group });
+
+        res.status(200).json(group);
+    } catch (error) {
+        console.error('Add Members Error:', error);
+        res.status(500).json({ error: 'Failed to add members' });
+    }
+};
+
+/**
+ * Remove a member from a group (admins only)
+ */
+exports.removeMember = async (req, res) => {
+    const { chatId, userId } = req.body;
+    const currentUserId = req.userId;
+
+    if (!userId) {
+        return res.status(400).json({ error: 'User ID is required' });
+    }
+
+    if (userId.toString() === currentUserId.toString()) {
+        return res.status(400).json({ error: 'Use leave to exit the group' });
+    }
+
+    try {
+        const chat = await loadGroupForAdmin(chatId, currentUserId, res);
+        if (!chat) return;
+
+        if (!isParticipant(chat, userId)) {
+            return res.status(404).json({ error: 'User is not a member of this group' });
+        }
+
+        removeFromGroup(chat, userId);
+
+        const [actor, target] = await Promise.all([
+            User.findById(currentUserId),
+            User.findById(userId)
+        ]);
+        await createSystemMessage(chat, currentUserId, 'member_removed',
+            `${displayNameOf(actor)} removed ${displayNameOf(target)}`, [userId]);
+
+        const group = await formatGroup(chat);
+        emitToParticipants(chat, 'groupUpdated', { action: 'member_removed', userIds: [userId.toString()], group });
+
+        // The removed member is no longer a participant, notify them directly
+        emitToParticipants({ participants: [userId] }, 'groupUpdated', {
+            action: 'member_removed',
+            userIds: [userId.toString()],
+            group: { _id: chat._id, groupName: chat.groupName }
+        });
+
+        res.status(200).json(group);
+    } catch (error) {
+        console.error('Remove Member Error:', error);
+        res.status(500).json({ error: 'Failed to remove member' });
+    }
+};
+
+/**
+ * Promote a member to admin (admins only)
+ */
+exports.promoteAdmin = async (req, res) => {
+    await changeAdminStatus(req, res, true);
+};
+
+/**
+ * Demote an admin to regular member (admins only)
+ */
+exports.demoteAdmin = async (req, res) => {
+    await changeAdminStatus(req, res, false);
+};
+
+/**
+ * Leave a group. If the last admin leaves, the longest-standing member is promoted.
+ */
+exports.leaveGroup = async (req, res) => {
+    const { chatId } = req.body;
+    const currentUserId = req.userId;
+
+    if (!mongoose.isValidObjectId(chatId)) {
+        return res.status(404).json({ error: 'Group not found' });
+    }
+
+    try {
+        const chat = await Chat.findOne({ _id: chatId, isGroup: true });
+        if (!chat) return res.status(404).json({ error: 'Group not found' });
+
+        if (!isParticipant(chat, currentUserId)) {
+            return res.status(403).json({ error: 'You are not a member of this group' });
+        }
+
+        removeFromGroup(chat, currentUserId);
+
+        const promotedIds = [];
+        if (chat.admins.length === 0 && chat.participants.length > 0) {
+            chat.admins.push(chat.participants[0]);
+            promotedIds.push(chat.participants[0].toString());
+        }
+
+        const actor = await User.findById(currentUserId);
+        if (chat.participants.length > 0) {
+            await createSystemMessage(chat, currentUserId, 'member_left',
+                `${displayNameOf(actor)} left`, [currentUserId]);
+
+            if (promotedIds.length > 0) {
+                const promoted = await User.findById(promotedIds[0]);
+                await createSystemMessage(chat, promotedIds[0], 'admin_promoted',
+                    `${displayNameOf(promoted)} is now an admin`, promotedIds);
+            }
+        } else {
+            await chat.save();
+        }
+
+        const group = await formatGroup(chat);
+        emitToParticipants(chat, 'groupUpdated', { action: 'member_left', userIds: [currentUserId.toString()], group });
+
+        res.status(200).json({ message: 'Left group' });
+    } catch (error) {
+        console.error('Leave Group Error:', error);
+        res.status(500).json({ error: 'Failed to leave group' });
+    }
+};
+
+// Shared implementation for promote/demote
+async function changeAdminStatus(req, res, makeAdmin) {
+    const { chatId, userId } = req.body;
+    const currentUserId = req.userId;
+
+    if (!userId) {
+        return res.status(400).json({ error: 'User ID is required' });
+    }
+
+    try {
+        const chat = await loadGroupForAdmin(chatId, currentUserId, res);
+        if (!chat) return;
+
+        if (!isParticipant(chat, userId)) {
+            return res.status(404).json({ error: 'User is not a member of this group' });
+        }
+
+        const alreadyAdmin = isGroupAdmin(chat, userId);
+        if (makeAdmin && alreadyAdmin) {
+            return res.status(400).json({ error: 'User is already an admin' });
+        }
+        if (!makeAdmin && !alreadyAdmin) {
+            return res.status(400).json({ error: 'User is not an admin' });
+        }
+        if (!makeAdmin && chat.admins.length === 1) {
+            return res.status(400).json({ error: 'A group must have at least one admin' });
+        }
+
+        if (makeAdmin) {
+            chat.admins.push(userId);
+        } else {
+            chat.admins = chat.admins.filter(id => id.toString() !== userId.toString());
+        }
+
+        const action = makeAdmin ? 'admin_promoted' : 'admin_demoted';
+        const [actor, target] = await Promise.all([
+            User.findById(currentUserId),
+            User.findById(userId)
+        ]);
+        await createSystemMessage(chat, currentUserId, action, makeAdmin
+            ? `${displayNameOf(actor)} made ${displayNameOf(target)} an admin`
+            : `${displayNameOf(actor)} dismissed ${displayNameOf(target)} as admin`, [userId]);
+
+        const group = await formatGroup(chat);
+        emitToParticipants(chat, 'groupUpdated', { action, userIds: [userId.toString()], group });
+
+        res.status(200).json(group);
+    } catch (error) {
+        console.error('Change Admin Status Error:', error);
+        res.status(500).json({ error: 'Failed to update admin status' });
+    }
+}
+
+// Load a group and make sure the current user is one of its admins.
+// Sends the error response and returns null if not.
+async function loadGroupForAdmin(chatId, userId, res) {
+    if (!chatId) {
+        res.status(400).json({ error: 'Chat ID is required' });
+        return null;
+    }
+
+    const chat = mongoose.isValidObjectId(chatId)
+        ? await Chat.findOne({ _id: chatId, isGroup: true })
+        : null;
+    if (!chat) {
+        res.status(404).json({ error: 'Group not found' });
+        return null;
+    }
+
+    if (!isGroupAdmin(chat, userId)) {
+        res.status(403).json({ error: 'Only group admins can do this' });
+        return null;
+    }
+
+    return chat;
+}
+
+function removeFromGroup(chat, userId) {
+    const id = userId.toString();
+    chat.participants = chat.participants.filter(p => p.toString() !== id);
+    chat.admins = chat.admins.filter(a => a.toString() !== id);
+    chat.unreadCount.delete(id);
+}
+
+async function formatGroup(chat) {
+    await chat.populate([
+        { path: 'participants', select: GROUP_PARTICIPANT_FIELDS },
+        { path: 'lastMessage' }
+    ]);
+    const group = chat.toObject();
+    // Keep admins as plain IDs so clients can cross-reference participants
+    group.admins = chat.admins.map(a => (a._id || a).toString());
+    return group;
+}
+
+function uniqueIds(ids) {
+    return [...new Set(ids.filter(Boolean).map(id => id.toString()))];
+}
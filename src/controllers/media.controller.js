@@ -0,0 +1,80 @@
+const path = require('path');
+const { findObject } = require('../services/storage');
+const { verifyMediaSignature } = require('../utils/media');
+const { typeForMimeType } = require('../middleware/upload.middleware');
+
+// File types the browser may show inline; anything else is sent as a download
+const INLINE_TYPES = ['image', 'audio', 'video'];
+
+/**
+ * Stream an uploaded file from storage (supports Range requests for audio/video seeking).
+ * Only signed URLs handed out in API payloads are served.
+ */
+exports.serveMedia = async (req, res) => {
+    const key = req.params[0];
+
+    const { valid, expires } = verifyMediaSignature(key, req.query);
+    if (!valid) {
+        return res.status(403).json({ error: 'Link has expired or is invalid' });
+    }
+
+    try {
+        const object = await findObject(key);
+        if (!object) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        const { size } = object;
+        res.set({
+            'Accept-Ranges': 'bytes',
+            // Documents and text files must not be rendered as anything but their own type
+            'X-Content-Type-Options': 'nosniff',
+            // The file never changes, but the link stops working when it expires
+            'Cache-Control': `private, max-age=${Math.max(0, expires - Math.floor(Date.now() / 1000))}`
+        });
+        res.type(object.contentType || path.extname(key));
+
+        const mimeType = res.get('Content-Type').split(';')[0];
+        if (!INLINE_TYPES.includes(typeForMimeType(mimeType))) {
+            // attachment() guesses the type from the name, so put ours back afterwards
+            res.attachment(object.fileName || path.basename(key));
+            res.type(mimeType);
+        }
+
+        if (size === 0) {
+            return res.status(200).end();
+        }
+
+        let start = 0;
+        let end = size - 1;
+
+        if (req.headers.range) {
+            const ranges = req.range(size);
+            if (ranges === -1) {
+                res.set('Content-Range', `bytes */${size}`);
+                return res.status(416).end();
+            }
+            // Multiple or malformed ranges fall back to the whole file
+            if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+                ({ start, end } = ranges[0]);
+                res.status(206).set('Content-Range', `bytes ${start}-${end}/${size}`);
+            }
+        }
+
+        res.set('Content-Length', String(end - start + 1));
+
+        if (req.method === 'HEAD') {
+            return res.end();
+        }
+
+        const stream = await object.open({ start, end });
+        stream.on('error', (error) => {
+            console.error('Serve Media Stream Error:', error.message);
+            res.destroy(error);
+        });
+        stream.pipe(res);
+    } catch (error) {
+        console.error('Serve Media Error:', error);
+        res.status(500).json({ error: 'Failed to load file' });
+    }
+};
@@ -0,0 +1,243 @@
+const Chat = require('../models/Chat');
+const User = require('../models/User');
+const ScheduledMessage = require('../models/ScheduledMessage');
+const { validateMessage, sanitizeText } = require('../middleware/upload.middleware');
+const { isParticipant } = require('../utils/chatHelpers');
+const { cleanLocation } = require('../utils/location');
+const { buildContactCards } = require('../services/contactCard.service');
+const { MAX_SCHEDULE_AHEAD_MS } = require('../config/messages');
+
+/**
+ * Schedule a message for delivery at a future time
+ * Pass recipientId for 1:1 chats or chatId for group chats
+ */
+exports.createScheduledMessage = async (req, res) => {
+    const { recipientId, chatId, text, type = 'text', media, location, contacts, replyTo, scheduledFor } = req.body;
+    const senderId = req.userId;
+
+    if (!recipientId && !chatId) {
+        return res.status(400).json({ error: 'Recipient is required' });
+    }
+
+    if (type === 'live_location') {
+        return res.status(400).json({ error: 'Live location cannot be scheduled' });
+    }
+
+    const validation = validateMessage({ type, text, media, location, contacts });
+    if (!validation.valid) {
+        return res.status(400).json({ error: validation.error });
+    }
+
+    const scheduleTime = parseScheduleTime(scheduledFor);
+    if (scheduleTime.error) {
+        return res.status(400).json({ error: scheduleTime.error });
+    }
+
+    try {
+        // Catch obvious mistakes now; everything is checked again at send time
+        if (chatId) {
+            const chat = await Chat.findOne({ _id: chatId, isGroup: true });
+            if (!chat) {
+                return res.status(404).json({ error: 'Group not found' });
+            }
+            if (!isParticipant(chat, senderId)) {
+                return res.status(403).json({ error: 'You are not a member of this group' });
+            }
+        } else {
+            const recipient = await User.findById(recipientId);
+            if (!recipient) {
+                return res.status(404).json({ error: 'Recipient not found' });
+            }
+        }
+
+        let contactCards;
+        if (type === 'contact') {
+            const built = await buildContactCards(senderId, contacts);
+            if (built.error) {
+                return res.status(built.status).json({ error: built.error });
+            }
+            contactCards = built.cards;
+        }
+
+        const scheduled = await ScheduledMessage.create({
+            senderId,
+            recipientId: chatId ? null : recipientId,
+            chatId: chatId || null,
+            text: text ? sanitizeText(text) : '',
+            type,
+            media: media || undefined,
+            location: type === 'location' ? cleanLocation(location) : undefined,
+            contacts: contactCards,
+            replyTo: replyTo || null,
+            scheduledFor: scheduleTime.date
+        });
+
+        res.status(201).json(scheduled);
+    } catch (error) {
+        console.error('Create Scheduled Message Error:', error);
+        res.status(500).json({ error: 'Failed to schedule message' });
+    }
+};
+
+/**
+ * List the current user's scheduled messages that have not been sent yet
+ * Query: recipientId or chatId to narrow down to one chat
+ */
+exports.getScheduledMessages = async (req, res) => {
+    const { recipientId, chatId } = req.query;
+    const senderId = req.userId;
+
+    try {
+        const filter = {
+            senderId,
+            status: { $in: ['pending', 'processing', 'failed'] }
+        };
+        if (chatId) filter.chatId = chatId;
+        if (recipientId) filter.recipientId = recipientId;
+
+        const scheduled = await ScheduledMessage.find(filter)
+            .populate('recipientId', 'phoneNumber profilePicture')
+            .populate('chatId', 'groupName groupIcon')
+            .sort({ scheduledFor: 1 });
+
+        res.status(200).json(scheduled);
+    } catch (error) {
+        console.error('Get Scheduled Messages Error:', error);
+        res.status(500).json({ error: 'Failed to fetch scheduled messages' });
+    }
+};
+
+/**
+ * Edit a scheduled message that has not been dispatched yet.
+ * A failed one is only retried when it is given a new scheduledFor.
+ */
+exports.updateScheduledMessage = async (req, res) => {
+    const { scheduledMessageId, text, type, media, location, contacts, scheduledFor } = req.body;
+    const senderId = req.userId;
+
+    if (!scheduledMessageId) {
+        return res.status(400).json({ error: 'Scheduled message ID is required' });
+    }
+
+    if (type === 'live_location') {
+        return res.status(400).json({ error: 'Live location cannot be scheduled' });
+    }
+
+    try {
+        const scheduled = await ScheduledMessage.findOne({ _id: scheduledMessageId, senderId });
+        if (!scheduled) {
+            return res.status(404).json({ error: 'Scheduled message not found' });
+        }
+
+        const updates = {};
+        if (text !== undefined) updates.text = text ? sanitizeText(text) : '';
+        if (type !== undefined) updates.type = type;
+        if (media !== undefined) updates.media = media;
+        if (location !== undefined) updates.location = location;
+        if (contacts !== undefined) updates.contacts = contacts;
+
+        const merged = { ...scheduled.toObject(), ...updates };
+        const validation = validateMessage({
+            type: merged.type,
+            text: merged.text,
+            media: merged.media && merged.media.url ? merged.media : null,
+            location: merged.location,
+            contacts: merged.contacts
+        });
+        if (!validation.valid) {
+            return res.status(400).json({ error: validation.error });
+        }
+        if (updates.location) updates.location = cleanLocation(updates.location);
+        if (updates.contacts) {
+            const built = await buildContactCards(senderId, updates.contacts);
+            if (built.error) {
+                return res.status(built.status).json({ error: built.error });
+            }
+            updates.contacts = built.cards;
+        }
+
+        if (scheduledFor !== undefined) {
+            const scheduleTime = parseScheduleTime(scheduledFor);
+            if (scheduleTime.error) {
+                return res.status(400).json({ error: scheduleTime.error });
+            }
+            updates.scheduledFor = scheduleTime.date;
+        }
+
+        // A new (future) time retries the entry; other edits leave its status as it is,
+        // so a failed entry is not sent straight away at its old time
+        if (updates.scheduledFor) {
+            Object.assign(updates, { status: 'pending', error: null, attempts: 0 });
+        }
+
+        // Only pending or failed entries can change; the dispatcher may have claimed it meanwhile
+        const updated = await ScheduledMessage.findOneAndUpdate(
+            { _id: scheduledMessageId, senderId, status: { $in: ['pending', 'failed'] } },
+            { $set: updates },
+            { new: true }
+        );
+
+        if (!updated) {
+            return res.status(409).json({ error: 'Scheduled message is already being sent or was cancelled' });
+        }
+
+        res.status(200).json(updated);
+    } catch (error) {
+        console.error('Update Scheduled Message Error:', error);
+        res.status(500).json({ error: 'Failed to update scheduled message' });
+    }
+};
+
+/**
+ * Cancel a scheduled message that has not been dispatched yet
+ */
+exports.cancelScheduledMessage = async (req, res) => {
+    const { scheduledMessageId } = req.body;
+    const senderId = req.userId;
+
+    if (!scheduledMessageId) {
+        return res.status(400).json({ error: 'Scheduled message ID is required' });
+    }
+
+    try {
+        const cancelled = await ScheduledMessage.findOneAndUpdate(
+            { _id: scheduledMessageId, senderId, status: { $in: ['pending', 'failed'] } },
+            { $set: { status: 'cancelled' } },
+            { new: true }
+        );
+
+        if (!cancelled) {
+            const exists = await ScheduledMessage.exists({ _id: scheduledMessageId, senderId });
+            return exists
+                ? res.status(409).json({ error: 'Scheduled message is already being sent or was cancelled' })
+                : res.status(404).json({ error: 'Scheduled message not found' });
+        }
+
+        res.status(200).json({ message: 'Scheduled message cancelled' });
+    } catch (error) {
+        console.error('Cancel Scheduled Message Error:', error);
+        res.status(500).json({ error: 'Failed to cancel scheduled message' });
+    }
+};
+
+// Validate a requested delivery time
+function parseScheduleTime(value) {
+    if (!value) {
+        return { error: 'Scheduled time is required' };
+    }
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        return { error: 'Invalid scheduled time' };
+    }
+
+    if (date.getTime() <= Date.now()) {
+        return { error: 'Scheduled time must be in the future' };
+    }
+
+    if (date.getTime() - Date.now() > MAX_SCHEDULE_AHEAD_MS) {
+        return { error: 'Messages can be scheduled at most one year ahead' };
+    }
+
+    return { date };
+}
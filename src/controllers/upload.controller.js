@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const uploadService = require('../services/resumableUpload.service');
+const { signMediaUrl } = require('../utils/media');
+
+/**
+ * Start a resumable upload
+ * Body: { type, fileName, mimeType, size, checksum (hex SHA-256), chunkSize? }
+ */
+exports.startUpload = async (req, res) => {
+    try {
+        const result = await uploadService.startUpload(req.userId, req.body);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.status(201).json(result);
+    } catch (error) {
+        console.error('Start Upload Error:', error);
+        res.status(500).json({ error: 'Failed to start upload' });
+    }
+};
+
+/**
+ * Receive one chunk of a resumable upload
+ * The body is the raw chunk (application/octet-stream)
+ */
+exports.uploadChunk = async (req, res) => {
+    const { uploadId } = req.params;
+    const index = Number(req.params.index);
+
+    if (!mongoose.isValidObjectId(uploadId)) {
+        return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    if (!Buffer.isBuffer(req.body)) {
+        return res.status(400).json({ error: 'Chunk must be sent as application/octet-stream' });
+    }
+
+    try {
+        const result = await uploadService.saveChunk(req.userId, uploadId, index, req.body);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.status(200).json(result);
+    } catch (error) {
+        console.error('Upload Chunk Error:', error);
+        res.status(500).json({ error: 'Failed to store chunk' });
+    }
+};
+
+/**
+ * Get which chunks of a resumable upload have been received
+ */
+exports.getUploadStatus = async (req, res) => {
+    const { uploadId } = req.params;
+
+    if (!mongoose.isValidObjectId(uploadId)) {
+        return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    try {
+        const result = await uploadService.getUploadStatus(req.userId, uploadId);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.status(200).json(result);
+    } catch (error) {
+        console.error('Get Upload Status Error:', error);
+        res.status(500).json({ error: 'Failed to fetch upload status' });
+    }
+};
+
+/**
+ * Finish a resumable upload
+ * Responds like /upload-media, so the result can be sent with /send as is
+ */
+exports.finalizeUpload = async (req, res) => {
+    const { uploadId } = req.params;
+
+    if (!mongoose.isValidObjectId(uploadId)) {
+        return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    try {
+        const result = await uploadService.finalizeUpload(req.userId, uploadId);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error, code: result.code });
+        }
+
+        res.status(200).json({
+            ...result.media,
+            // Signed link for showing the upload before it is sent
+            previewUrl: signMediaUrl(result.media.url)
+        });
+    } catch (error) {
+        console.error('Finalize Upload Error:', error);
+        res.status(500).json({ error: 'Failed to finalize upload' });
+    }
+};
+
+/**
+ * Cancel an unfinished resumable upload
+ */
+exports.cancelUpload = async (req, res) => {
+    const { uploadId } = req.params;
+
+    if (!mongoose.isValidObjectId(uploadId)) {
+        return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    try {
+        const result = await uploadService.cancelUpload(req.userId, uploadId);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.status(200).json({ message: 'Upload cancelled' });
+    } catch (error) {
+        console.error('Cancel Upload Error:', error);
+        res.status(500).json({ error: 'Failed to cancel upload' });
+    }
+};
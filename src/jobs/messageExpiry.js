@@ -0,0 +1,145 @@
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const { emitToParticipants } = require('../utils/chatHelpers');
+const { removeMediaIfUnused } = require('../utils/media');
+const { EXPIRY_SWEEP_INTERVAL_MS } = require('../config/messages');
+
+const BATCH_SIZE = 200;
+
+let sweepTimer = null;
+let sweeping = false;
+
+/**
+ * Delete expired disappearing messages and keep their chats consistent.
+ * Each message is claimed with findOneAndDelete, so when several server
+ * instances sweep at once every message is processed exactly once.
+ * @returns {Promise<number>} - Number of messages removed
+ */
+const sweepExpiredMessages = async () => {
+    const candidates = await Message.find({ expiresAt: { $lte: new Date() } })
+        .select('_id')
+        .limit(BATCH_SIZE)
+        .lean();
+
+    const expiredByChat = new Map();
+    for (const { _id } of candidates) {
+        const message = await Message.findOneAndDelete({ _id, expiresAt: { $lte: new Date() } });
+        if (!message) continue; // Claimed by another instance
+
+        const chatId = message.chatId.toString();
+        if (!expiredByChat.has(chatId)) expiredByChat.set(chatId, []);
+        expiredByChat.get(chatId).push(message);
+    }
+
+    let removed = 0;
+    for (const [chatId, messages] of expiredByChat) {
+        await reconcileChat(chatId, messages);
+
+        for (const message of messages) {
+            await removeMediaIfUnused(message.media?.url);
+            await removeMediaIfUnused(message.media?.thumbnail);
+        }
+        removed += messages.length;
+    }
+
+    return removed;
+};
+
+/**
+ * Start sweeping expired messages periodically
+ */
+const startMessageExpiryJob = () => {
+    if (sweepTimer) return;
+
+    sweepTimer = setInterval(async () => {
+        if (sweeping) return;
+        sweeping = true;
+        try {
+            await sweepExpiredMessages();
+        } catch (error) {
+            console.error('Message Expiry Error:', error);
+        } finally {
+            sweeping = false;
+        }
+    }, EXPIRY_SWEEP_INTERVAL_MS);
+};
+
+const stopMessageExpiryJob = () => {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+};
+
+// Fix unread counters and lastMessage after messages of a chat expired
+async function reconcileChat(chatId, expired) {
+    const chat = await Chat.findById(chatId);
+    if (!chat) return;
+
+    const expiredIds = expired.map(m => m._id.toString());
+
+    for (const participant of chat.participants) {
+        const id = participant.toString();
+        const current = chat.unreadCount.get(id) || 0;
+        if (current === 0) continue;
+
+        const unread = await countExpiredUnread(chat._id, id, expired, current);
+        if (unread > 0) {
+            chat.unreadCount.set(id, current - unread);
+        }
+    }
+
+    if (chat.lastMessage && expiredIds.includes(chat.lastMessage.toString())) {
+        const latest = await Message.findOne({ chatId: chat._id })
+            .sort({ createdAt: -1 })
+            .select('_id');
+        chat.lastMessage = latest ? latest._id : null;
+    }
+
+    // updatedAt moves so offline sync picks up the new lastMessage and unread counts
+    await chat.save();
+
+    emitToParticipants(chat, 'messagesExpired', {
+        chatId: chat._id.toString(),
+        messageIds: expiredIds,
+        lastMessage: chat.lastMessage ? chat.lastMessage.toString() : null
+    });
+}
+
+// The unread counter covers the newest `unreadCount` messages the participant received
+// (it is reset when they open the chat). Read state is not kept per member - status is
+// shared in groups and stays delivered without read receipts - so an expired message
+// counts as unread only if it was among those newest messages.
+async function countExpiredUnread(chatId, userId, expired, unreadCount) {
+    const received = message => ({
+        createdAt: message.createdAt,
+        expired: true,
+        counts: message.senderId.toString() !== userId &&
+            message.type !== 'system' &&
+            !message.isDeleted &&
+            !message.deletedFor.some(d => d.toString() === userId)
+    });
+    const expiredReceived = expired.map(received).filter(m => m.counts);
+    if (expiredReceived.length === 0) return 0;
+
+    // Older messages cannot push an expired one out of the newest unreadCount
+    const oldest = new Date(Math.min(...expiredReceived.map(m => m.createdAt.getTime())));
+    const remaining = await Message.find({
+        chatId,
+        senderId: { $ne: userId },
+        type: { $ne: 'system' },
+        isDeleted: false,
+        deletedFor: { $ne: userId },
+        createdAt: { $gte: oldest }
+    })
+        .sort({ createdAt: -1 })
+        .limit(unreadCount)
+        .select('createdAt')
+        .lean();
+
+    return [...expiredReceived, ...remaining]
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .slice(0, unreadCount)
+        .filter(m => m.expired)
+        .length;
+}
+
+module.exports = { startMessageExpiryJob, stopMessageExpiryJob, sweepExpiredMessages };
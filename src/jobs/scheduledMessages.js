@@ -0,0 +1,167 @@
+const Message = require('../models/Message');
+const ScheduledMessage = require('../models/ScheduledMessage');
+const messageService = require('../services/message.service');
+const { getIO } = require('../socket/socket');
+const { SCHEDULER_INTERVAL_MS } = require('../config/messages');
+
+const BATCH_SIZE = 100;
+const MAX_ATTEMPTS = 3;
+// A claim older than this belongs to an instance that died mid-dispatch
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+
+let dispatchTimer = null;
+let dispatching = false;
+
+/**
+ * Send every scheduled message that is due.
+ * Entries are claimed one at a time with an atomic pending -> processing update,
+ * so concurrent instances never dispatch the same message.
+ * @returns {Promise<number>} - Number of entries processed
+ */
+const dispatchDueMessages = async () => {
+    await recoverStaleClaims();
+
+    let processed = 0;
+    while (processed < BATCH_SIZE) {
+        const scheduled = await ScheduledMessage.findOneAndUpdate(
+            { status: 'pending', scheduledFor: { $lte: new Date() } },
+            { $set: { status: 'processing', lockedAt: new Date() }, $inc: { attempts: 1 } },
+            { new: true, sort: { scheduledFor: 1 } }
+        );
+        if (!scheduled) break;
+
+        await dispatch(scheduled);
+        processed++;
+    }
+
+    return processed;
+};
+
+/**
+ * Start dispatching scheduled messages periodically
+ */
+const startScheduledMessageJob = () => {
+    if (dispatchTimer) return;
+
+    dispatchTimer = setInterval(async () => {
+        if (dispatching) return;
+        dispatching = true;
+        try {
+            await dispatchDueMessages();
+        } catch (error) {
+            console.error('Scheduled Message Dispatch Error:', error);
+        } finally {
+            dispatching = false;
+        }
+    }, SCHEDULER_INTERVAL_MS);
+};
+
+const stopScheduledMessageJob = () => {
+    clearInterval(dispatchTimer);
+    dispatchTimer = null;
+};
+
+// Cards were built when the message was scheduled. Send them as plain details so they
+// are not looked up again as { userId } entries; registered users are linked afresh.
+function asFreeFormCard(card) {
+    return { ...card, userId: null, messageLink: null };
+}
+
+async function dispatch(scheduled) {
+    const data = scheduled.toObject();
+
+    try {
+        const result = await messageService.sendMessage({
+            senderId: data.senderId,
+            recipientId: data.recipientId || undefined,
+            chatId: data.chatId || undefined,
+            text: data.text,
+            type: data.type,
+            media: data.media && data.media.url ? data.media : undefined,
+            location: data.type === 'location' ? data.location : undefined,
+            contacts: data.type === 'contact' ? data.contacts.map(asFreeFormCard) : undefined,
+            replyTo: data.replyTo || undefined,
+            scheduledMessageId: data._id
+        });
+
+        if (result.error) {
+            await markFailed(scheduled, result.error);
+            return;
+        }
+
+        await markSent(scheduled, result.message._id);
+    } catch (error) {
+        // Duplicate key: an earlier attempt already created the message
+        if (error.code === 11000) {
+            const existing = await Message.findOne({ scheduledMessageId: scheduled._id }).select('_id');
+            if (existing) {
+                await markSent(scheduled, existing._id);
+                return;
+            }
+        }
+
+        console.error('Scheduled Message Error:', error);
+
+        if (scheduled.attempts >= MAX_ATTEMPTS) {
+            await markFailed(scheduled, 'Failed to send scheduled message');
+        } else {
+            scheduled.status = 'pending';
+            scheduled.lockedAt = null;
+            await scheduled.save();
+        }
+    }
+}
+
+async function markSent(scheduled, messageId) {
+    scheduled.status = 'sent';
+    scheduled.sentMessageId = messageId;
+    scheduled.lockedAt = null;
+    scheduled.error = null;
+    await scheduled.save();
+
+    emitToSender(scheduled, 'scheduledMessageSent', {
+        scheduledMessageId: scheduled._id.toString(),
+        messageId: messageId.toString()
+    });
+}
+
+async function markFailed(scheduled, reason) {
+    scheduled.status = 'failed';
+    scheduled.lockedAt = null;
+    scheduled.error = reason;
+    await scheduled.save();
+
+    emitToSender(scheduled, 'scheduledMessageFailed', {
+        scheduledMessageId: scheduled._id.toString(),
+        error: reason
+    });
+}
+
+function emitToSender(scheduled, event, payload) {
+    try {
+        getIO().to(scheduled.senderId.toString()).emit(event, payload);
+    } catch (socketError) {
+        console.error('Socket Emission Error:', socketError.message);
+    }
+}
+
+// Release entries left in processing by an instance that crashed or restarted
+async function recoverStaleClaims() {
+    const staleBefore = new Date(Date.now() - STALE_CLAIM_MS);
+    const stale = await ScheduledMessage.find({
+        status: 'processing',
+        lockedAt: { $lt: staleBefore }
+    }).select('_id');
+
+    for (const { _id } of stale) {
+        const sent = await Message.findOne({ scheduledMessageId: _id }).select('_id');
+        await ScheduledMessage.updateOne(
+            { _id, status: 'processing', lockedAt: { $lt: staleBefore } },
+            sent
+                ? { $set: { status: 'sent', sentMessageId: sent._id, lockedAt: null } }
+                : { $set: { status: 'pending', lockedAt: null } }
+        );
+    }
+}
+
+module.exports = { startScheduledMessageJob, stopScheduledMessageJob, dispatchDueMessages };
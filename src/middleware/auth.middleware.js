@@ -1,6 +1,7 @@
-const jwt = require('jsonwebtoken');
+const { verifyAccessToken } = require('../utils/token');
+const { findActiveSession } = require('../services/session.service');
 
-const authMiddleware = (req, res, next) => {
+const authMiddleware = async (req, res, next) => {
     const authHeader = req.headers.authorization;
 
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -9,13 +10,27 @@ const authMiddleware = (req, res, next) => {
 
     const token = authHeader.split(' ')[1];
 
+    let decoded;
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.userId = decoded.userId;
-        next();
+        decoded = verifyAccessToken(token);
     } catch (error) {
-        res.status(401).json({ error: 'Token is not valid' });
+        return res.status(401).json({ error: 'Token is not valid' });
     }
+
+    try {
+        // Tokens of a revoked session stop working immediately
+        const session = await findActiveSession(decoded.sessionId, decoded.userId);
+        if (!session) {
+            return res.status(401).json({ error: 'Session has been revoked' });
+        }
+    } catch (error) {
+        console.error('Auth Middleware Error:', error);
+        return res.status(500).json({ error: 'Failed to authenticate' });
+    }
+
+    req.userId = decoded.userId;
+    req.sessionId = decoded.sessionId;
+    next();
 };
 
 module.exports = authMiddleware;
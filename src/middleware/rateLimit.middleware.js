@@ -0,0 +1,32 @@
+const { consume } = require('../services/rateLimit');
+
+/**
+ * Build a middleware enforcing a named rate limit
+ * @param {string} limitName - Key of RATE_LIMITS in config/rateLimits.js
+ * @param {function} getSubject - (req) => IP, phone number or user ID to count against; skipped when empty
+ * @returns {function} - Express middleware
+ */
+const rateLimit = (limitName, getSubject) => async (req, res, next) => {
+    const subject = getSubject(req);
+    if (!subject) return next();
+
+    try {
+        const { allowed, retryAfter } = await consume(limitName, subject);
+        if (!allowed) {
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({ error: 'Too many requests. Please try again later.', retryAfter });
+        }
+    } catch (error) {
+        // A broken store must not take the API down with it
+        console.error('Rate Limit Error:', error.message);
+    }
+
+    next();
+};
+
+// Common subjects
+rateLimit.byIp = req => req.ip;
+rateLimit.byUser = req => req.userId;
+rateLimit.byPhoneNumber = req => (typeof req.body?.phoneNumber === 'string' ? req.body.phoneNumber : null);
+
+module.exports = rateLimit;
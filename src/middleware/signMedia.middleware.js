@@ -0,0 +1,13 @@
+const { signMediaUrls } = require('../utils/media');
+
+/**
+ * Replace stored media URLs in JSON responses with short-lived signed URLs,
+ * so /uploads is only readable through links handed out by the API
+ */
+const signMediaMiddleware = (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => json(signMediaUrls(body));
+    next();
+};
+
+module.exports = signMediaMiddleware;
@@ -0,0 +1,43 @@
+const { verifyAccessToken } = require('../utils/token');
+const { findActiveSession } = require('../services/session.service');
+
+/**
+ * Socket.io handshake middleware
+ * Verifies the same JWT as auth.middleware.js and binds the connection to its user and session.
+ * Clients send the token as `auth: { token }` or as a Bearer Authorization header.
+ */
+const socketAuthMiddleware = async (socket, next) => {
+    const authHeader = socket.handshake.headers.authorization;
+    const token = socket.handshake.auth?.token ||
+        (authHeader && authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null);
+
+    if (!token) {
+        return next(new Error('No token provided, authorization denied'));
+    }
+
+    let decoded;
+    try {
+        decoded = verifyAccessToken(token);
+    } catch (error) {
+        return next(new Error('Token is not valid'));
+    }
+
+    try {
+        const session = await findActiveSession(decoded.sessionId, decoded.userId);
+        if (!session) {
+            return next(new Error('Session has been revoked'));
+        }
+
+        socket.data.userId = decoded.userId.toString();
+        socket.data.sessionId = decoded.sessionId.toString();
+        socket.data.sessionDeviceId = session.deviceId;
+        socket.data.sessionDeviceName = session.deviceName;
+        socket.data.tokenExpiresAt = decoded.exp ? decoded.exp * 1000 : null;
+        next();
+    } catch (error) {
+        console.error('Socket Auth Error:', error);
+        next(new Error('Failed to authenticate'));
+    }
+};
+
+module.exports = socketAuthMiddleware;
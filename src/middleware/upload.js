@@ -1,38 +1,34 @@
 const multer = require('multer');
-const path = require('path');
 const fs = require('fs');
+const { UPLOAD_TEMP_DIR } = require('../config/storage');
+const { generateFileName } = require('../services/storage');
+const { ALLOWED_MIME_TYPES, MAX_FILE_SIZES, MEDIA_MESSAGE_TYPES } = require('./upload.middleware');
 
-// Create uploads directory if it doesn't exist
-const uploadsDir = path.join(__dirname, '../../uploads');
-if (!fs.existsSync(uploadsDir)) {
-    fs.mkdirSync(uploadsDir, { recursive: true });
+// Uploads are staged in a temp directory; controllers hand them to the storage backend
+if (!fs.existsSync(UPLOAD_TEMP_DIR)) {
+    fs.mkdirSync(UPLOAD_TEMP_DIR, { recursive: true });
 }
 
 // Configure storage
 const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        const type = req.body.type || req.body.fileType || 'media';
-        const dir = path.join(uploadsDir, type === 'profile' ? 'profile' : 'media');
-        if (!fs.existsSync(dir)) {
-            fs.mkdirSync(dir, { recursive: true });
-        }
-        cb(null, dir);
-    },
+    destination: UPLOAD_TEMP_DIR,
     filename: (req, file, cb) => {
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, uniqueSuffix + path.extname(file.originalname));
+        cb(null, generateFileName(file.originalname));
     }
 });
 
-// File filter
+// File filter. The client's MIME type is only a first pass; controllers check
+// the content against it with inspectUpload once the file is staged
+const allowedTypes = {
+    ...ALLOWED_MIME_TYPES,
+    profile: ALLOWED_MIME_TYPES.image,
+    media: MEDIA_MESSAGE_TYPES.flatMap(type => ALLOWED_MIME_TYPES[type])
+};
+
 const fileFilter = (req, file, cb) => {
-    const allowedTypes = {
-        image: ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'],
-        video: ['video/mp4', 'video/webm', 'video/ogg', 'video/quicktime'],
-        audio: ['audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/ogg', 'audio/aac', 'audio/webm'],
-        profile: ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'],
-        media: ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp', 'video/mp4', 'video/webm', 'video/ogg', 'video/quicktime', 'audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/ogg', 'audio/aac', 'audio/webm']
-    };
+    // Browsers send UTF-8 file names, which multer reads as latin1
+    const utf8Name = Buffer.from(file.originalname, 'latin1').toString('utf8');
+    if (!utf8Name.includes('\uFFFD')) file.originalname = utf8Name;
 
     const type = req.body.type || req.body.fileType || 'media';
     const allowed = allowedTypes[type] || allowedTypes.media;
@@ -44,12 +40,12 @@ const fileFilter = (req, file, cb) => {
     }
 };
 
-// Configure multer
+// Configure multer; per type limits are checked by validateFile
 const upload = multer({
     storage: storage,
     fileFilter: fileFilter,
     limits: {
-        fileSize: 50 * 1024 * 1024 // 50MB max
+        fileSize: Math.max(...Object.values(MAX_FILE_SIZES))
     }
 });
 
@@ -3,11 +3,15 @@
  * Validates file type, size, and other constraints
  */
 
+const { validateLocation } = require('../utils/location');
+const { LIVE_LOCATION_DURATIONS, MAX_CONTACTS_PER_MESSAGE } = require('../config/messages');
+
 // File size limits (in bytes)
 const MAX_FILE_SIZES = {
     image: 10 * 1024 * 1024, // 10MB
     audio: 16 * 1024 * 1024, // 16MB
     video: 50 * 1024 * 1024, // 50MB
+    document: 100 * 1024 * 1024, // 100MB
     default: 10 * 1024 * 1024 // 10MB default
 };
 
@@ -15,12 +19,39 @@ const MAX_FILE_SIZES = {
 const ALLOWED_MIME_TYPES = {
     image: ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'],
     audio: ['audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/ogg', 'audio/aac', 'audio/webm'],
-    video: ['video/mp4', 'video/webm', 'video/ogg', 'video/quicktime']
+    video: ['video/mp4', 'video/webm', 'video/ogg', 'video/quicktime'],
+    document: [
+        'application/pdf',
+        'application/msword',
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        'application/vnd.ms-excel',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'application/vnd.ms-powerpoint',
+        'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+        'application/vnd.oasis.opendocument.text',
+        'application/vnd.oasis.opendocument.spreadsheet',
+        'application/vnd.oasis.opendocument.presentation',
+        'application/rtf',
+        'text/plain',
+        'text/csv',
+        'application/zip',
+        'application/x-zip-compressed',
+        'application/x-7z-compressed',
+        'application/vnd.rar',
+        'application/x-rar-compressed',
+        'application/gzip'
+    ]
 };
 
+// Message types that carry an uploaded file
+const MEDIA_MESSAGE_TYPES = ['image', 'audio', 'video', 'document'];
+
+// Message types that carry a position
+const LOCATION_MESSAGE_TYPES = ['location', 'live_location'];
+
 /**
  * Validate file upload
- * @param {string} type - Message type (image, audio, video)
+ * @param {string} type - Message type (image, audio, video, document)
  * @param {object} file - File object with mimetype and size
  * @returns {object} - { valid: boolean, error?: string }
  */
@@ -51,6 +82,30 @@ const validateFile = (type, file) => {
     return { valid: true };
 };
 
+/**
+ * Work out the message type for a MIME type
+ * @param {string} mimeType - MIME type of the file
+ * @returns {string|null} - image, audio, video, document or null if not allowed
+ */
+const typeForMimeType = (mimeType) => {
+    return MEDIA_MESSAGE_TYPES.find(type => ALLOWED_MIME_TYPES[type].includes(mimeType)) || null;
+};
+
+/**
+ * Clean up a client supplied file name for display
+ * @param {string} name - Original file name
+ * @returns {string} - Name without directories or control characters, at most 255 characters
+ */
+const cleanFileName = (name) => {
+    if (!name || typeof name !== 'string') return '';
+
+    return name
+        .split(/[\\/]/).pop()
+        .replace(/[\u0000-\u001f\u007f]/g, '')
+        .trim()
+        .slice(0, 255);
+};
+
 /**
  * Sanitize message text input
  * @param {string} text - Message text
@@ -72,10 +127,10 @@ const sanitizeText = (text) => {
  * @returns {object} - { valid: boolean, error?: string }
  */
 const validateMessage = (messageData) => {
-    const { type, text, media } = messageData;
+    const { type, text, media, location, liveDuration, contacts } = messageData;
 
     // Type validation
-    if (!type || !['text', 'image', 'audio', 'video', 'emoji'].includes(type)) {
+    if (!type || !['text', 'emoji', 'contact', ...MEDIA_MESSAGE_TYPES, ...LOCATION_MESSAGE_TYPES].includes(type)) {
         return { valid: false, error: 'Invalid message type' };
     }
 
@@ -85,7 +140,7 @@ const validateMessage = (messageData) => {
     }
 
     // Media messages must have media
-    if (['image', 'audio', 'video'].includes(type)) {
+    if (MEDIA_MESSAGE_TYPES.includes(type)) {
         if (!media || !media.url) {
             return { valid: false, error: 'Media URL is required for media messages' };
         }
@@ -94,6 +149,33 @@ const validateMessage = (messageData) => {
         }
     }
 
+    // Location messages must have a valid position; live ones also a sharing duration
+    if (LOCATION_MESSAGE_TYPES.includes(type)) {
+        const locationCheck = validateLocation(location);
+        if (!locationCheck.valid) {
+            return locationCheck;
+        }
+    }
+    if (type === 'live_location' && !Object.values(LIVE_LOCATION_DURATIONS).includes(liveDuration)) {
+        return {
+            valid: false,
+            error: `Live location duration must be one of: ${Object.values(LIVE_LOCATION_DURATIONS).join(', ')} seconds`
+        };
+    }
+
+    // Contact messages carry one or more cards (registered users, vCards or free-form details)
+    if (type === 'contact') {
+        if (!Array.isArray(contacts) || contacts.length === 0) {
+            return { valid: false, error: 'At least one contact is required' };
+        }
+        if (contacts.length > MAX_CONTACTS_PER_MESSAGE) {
+            return { valid: false, error: `At most ${MAX_CONTACTS_PER_MESSAGE} contacts can be sent at once` };
+        }
+        if (contacts.some(contact => !contact || typeof contact !== 'object')) {
+            return { valid: false, error: 'Invalid contact' };
+        }
+    }
+
     // Validate text length
     if (text && text.length > 4096) {
         return { valid: false, error: 'Message text exceeds maximum length of 4096 characters' };
@@ -104,9 +186,13 @@ const validateMessage = (messageData) => {
 
 module.exports = {
     validateFile,
+    typeForMimeType,
+    cleanFileName,
     sanitizeText,
     validateMessage,
     MAX_FILE_SIZES,
-    ALLOWED_MIME_TYPES
+    ALLOWED_MIME_TYPES,
+    MEDIA_MESSAGE_TYPES,
+    LOCATION_MESSAGE_TYPES
 };
 
@@ -26,11 +26,48 @@ const chatSchema = new mongoose.Schema({
     hiddenBy: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
-    }]
+    }],
+    // Disappearing messages timer in seconds (0 = off)
+    disappearingDuration: {
+        type: Number,
+        default: 0
+    },
+    // Group chat fields (unused for 1:1 chats)
+    isGroup: {
+        type: Boolean,
+        default: false
+    },
+    groupName: {
+        type: String,
+        trim: true,
+        maxlength: 100
+    },
+    groupIcon: {
+        type: String,
+        default: null
+    },
+    groupDescription: {
+        type: String,
+        default: '',
+        trim: true,
+        maxlength: 512
+    },
+    admins: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    onlyAdminsCanPost: {
+        type: Boolean,
+        default: false
+    }
 }, { timestamps: true });
 
 // Index for faster participant queries
 chatSchema.index({ participants: 1 });
-chatSchema.index({ updatedAt: -1 });
+chatSchema.index({ updatedAt: -1, _id: -1 }); // Replaces { updatedAt: -1 }, dropped in config/db.js
 
 module.exports = mongoose.model('Chat', chatSchema);
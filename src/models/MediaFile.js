@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+/**
+ * MediaFile model - an uploaded file and who uploaded it.
+ * Media URLs are only accepted in messages, profiles and group icons when the
+ * user uploaded the file or can already see it in one of their chats.
+ */
+const mediaFileSchema = new mongoose.Schema({
+    // Storage key, e.g. media/123.jpg (served at /uploads/<key>)
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    ownerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    mimeType: {
+        type: String
+    },
+    size: {
+        type: Number
+    },
+    // Preview details extracted on upload, copied onto messages that use the file
+    thumbnail: {
+        type: String,
+        default: null
+    },
+    placeholder: {
+        type: String,
+        default: null
+    },
+    width: {
+        type: Number,
+        default: null
+    },
+    height: {
+        type: Number,
+        default: null
+    },
+    duration: {
+        type: Number,
+        default: null
+    },
+    fileName: {
+        type: String,
+        default: null
+    },
+    extension: {
+        type: String,
+        default: null
+    },
+    pageCount: {
+        type: Number,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('MediaFile', mediaFileSchema);
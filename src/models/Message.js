@@ -13,6 +13,57 @@ const reactionSchema = new mongoose.Schema({
     }
 }, { _id: false, timestamps: true });
 
+// A shared contact; userId and messageLink are set when its number is registered
+const contactCardSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true
+    },
+    firstName: {
+        type: String,
+        default: null
+    },
+    lastName: {
+        type: String,
+        default: null
+    },
+    organization: {
+        type: String,
+        default: null
+    },
+    phoneNumbers: [{
+        _id: false,
+        number: String,
+        label: String
+    }],
+    emails: [{
+        _id: false,
+        address: String,
+        label: String
+    }],
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    messageLink: {
+        type: String,
+        default: null
+    }
+}, { _id: false });
+
+const editVersionSchema = new mongoose.Schema({
+    text: {
+        type: String,
+        default: ''
+    },
+    // When this version of the text was written
+    createdAt: {
+        type: Date,
+        required: true
+    }
+}, { _id: false });
+
 const messageSchema = new mongoose.Schema({
     chatId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -34,7 +85,7 @@ const messageSchema = new mongoose.Schema({
     },
     type: {
         type: String,
-        enum: ['text', 'image', 'audio', 'video', 'emoji'],
+        enum: ['text', 'image', 'audio', 'video', 'document', 'location', 'live_location', 'contact', 'emoji', 'system'],
         default: 'text'
     },
     media: {
@@ -57,6 +108,75 @@ const messageSchema = new mongoose.Schema({
         duration: {
             type: Number,
             default: null // For audio/video in seconds
+        },
+        // Tiny blurred image (data URI) shown while the thumbnail loads
+        placeholder: {
+            type: String,
+            default: null
+        },
+        width: {
+            type: Number,
+            default: null // For images/videos in pixels
+        },
+        height: {
+            type: Number,
+            default: null
+        },
+        // Documents: name as uploaded, its extension and the page count of PDFs
+        fileName: {
+            type: String,
+            default: null
+        },
+        extension: {
+            type: String,
+            default: null
+        },
+        pageCount: {
+            type: Number,
+            default: null
+        }
+    },
+    // Position for location messages; the latest position for live locations
+    location: {
+        latitude: {
+            type: Number,
+            default: null
+        },
+        longitude: {
+            type: Number,
+            default: null
+        },
+        accuracy: {
+            type: Number,
+            default: null // In meters
+        },
+        name: {
+            type: String,
+            default: null
+        },
+        address: {
+            type: String,
+            default: null
+        }
+    },
+    // Contact cards of contact messages
+    contacts: {
+        type: [contactCardSchema],
+        default: undefined
+    },
+    // Live locations: position updates are accepted until endsAt or until stopped
+    liveLocation: {
+        endsAt: {
+            type: Date,
+            default: null
+        },
+        stoppedAt: {
+            type: Date,
+            default: null
+        },
+        lastUpdatedAt: {
+            type: Date,
+            default: null
         }
     },
     status: {
@@ -70,6 +190,12 @@ const messageSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     }],
+    // Sent while the recipient had blocked the sender: hidden from them from the start.
+    // Never selected by default so senders cannot tell they are blocked
+    silenced: {
+        type: Boolean,
+        select: false
+    },
     isDeleted: {
         type: Boolean,
         default: false
@@ -78,16 +204,73 @@ const messageSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Message',
         default: null
+    },
+    replyTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+        default: null
+    },
+    // Set when the chat had disappearing messages on at send time
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    // Scheduled message this was dispatched from (guards against double sends)
+    scheduledMessageId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ScheduledMessage',
+        default: undefined
+    },
+    editedAt: {
+        type: Date,
+        default: null
+    },
+    editHistory: [editVersionSchema],
+    // Details for system messages (group membership changes etc.)
+    systemEvent: {
+        action: {
+            type: String,
+            default: null
+        },
+        targetIds: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }]
     }
 }, { timestamps: true });
 
 // Indexes for performance
-messageSchema.index({ chatId: 1, createdAt: -1 });
+// Pages sort on (createdAt, _id); the older date-only indexes are dropped in config/db.js
+messageSchema.index({ chatId: 1, createdAt: -1, _id: -1 });
+messageSchema.index({ chatId: 1, updatedAt: 1 }); // Offline sync
+messageSchema.index({ chatId: 1, type: 1, createdAt: -1, _id: -1 }); // Shared media listing
 messageSchema.index({ senderId: 1 });
 messageSchema.index({ status: 1 });
+messageSchema.index({ scheduledMessageId: 1 }, { unique: true, partialFilterExpression: { scheduledMessageId: { $type: 'objectId' } } });
+messageSchema.index({ expiresAt: 1 }, { partialFilterExpression: { expiresAt: { $type: 'date' } } });
+// Full-text search on message content (no stemming so highlights match what was typed)
+messageSchema.index({ text: 'text' }, { default_language: 'none' });
 
 // Validation: text or media must be present
 messageSchema.pre('validate', function(next) {
+    // Location messages carry a position instead of text or media
+    if (this.type === 'location' || this.type === 'live_location') {
+        if (typeof this.location?.latitude !== 'number' || typeof this.location?.longitude !== 'number') {
+            return next(new Error('Location messages must have a location'));
+        }
+        if (this.type === 'live_location' && !this.liveLocation?.endsAt) {
+            return next(new Error('Live location messages must have an end time'));
+        }
+        return next();
+    }
+
+    if (this.type === 'contact') {
+        if (!this.contacts?.length) {
+            return next(new Error('Contact messages must have at least one contact'));
+        }
+        return next();
+    }
+
     if (!this.text && !this.media?.url) {
         return next(new Error('Message must have either text or media'));
     }
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+/**
+ * OtpCode model - the login code state of one phone number.
+ * Only a hash of the current code is stored. The document also carries the
+ * resend and lockout counters, so it outlives the code it was created for.
+ */
+const otpCodeSchema = new mongoose.Schema({
+    phoneNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    codeHash: {
+        type: String,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    // Wrong guesses against the current code
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    lastSentAt: {
+        type: Date,
+        default: null
+    },
+    // Codes sent in the current send window
+    sendCount: {
+        type: Number,
+        default: 0
+    },
+    windowStartedAt: {
+        type: Date,
+        default: null
+    },
+    lockedUntil: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Forget numbers that have been idle for a day
+otpCodeSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('OtpCode', otpCodeSchema);
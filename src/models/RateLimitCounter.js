@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+/**
+ * RateLimitCounter model - requests counted for one key in one fixed window.
+ * Used by the shared rate limit store so all instances see the same counts.
+ */
+const rateLimitCounterSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    // End of the window; the counter is removed after it
+    resetAt: {
+        type: Date,
+        required: true
+    }
+});
+
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+/**
+ * ScheduledMessage model - a message queued for delivery at a future time.
+ * The dispatcher claims due entries atomically (pending -> processing),
+ * so several server instances never send the same one twice.
+ */
+const scheduledMessageSchema = new mongoose.Schema({
+    senderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    // One of recipientId (1:1) or chatId (group) is set
+    recipientId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    chatId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Chat',
+        default: null
+    },
+    text: {
+        type: String,
+        default: '',
+        trim: true,
+        maxlength: 4096
+    },
+    type: {
+        type: String,
+        enum: ['text', 'image', 'audio', 'video', 'document', 'location', 'contact', 'emoji'],
+        default: 'text'
+    },
+    media: {
+        url: { type: String, default: null },
+        mimeType: { type: String, default: null },
+        size: { type: Number, default: null },
+        thumbnail: { type: String, default: null },
+        duration: { type: Number, default: null },
+        fileName: { type: String, default: null },
+        extension: { type: String, default: null },
+        pageCount: { type: Number, default: null }
+    },
+    location: {
+        latitude: { type: Number, default: null },
+        longitude: { type: Number, default: null },
+        accuracy: { type: Number, default: null },
+        name: { type: String, default: null },
+        address: { type: String, default: null }
+    },
+    // Contact cards as built when scheduling; registered users are looked up again at send time
+    contacts: {
+        type: [mongoose.Schema.Types.Mixed],
+        default: undefined
+    },
+    replyTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+        default: null
+    },
+    scheduledFor: {
+        type: Date,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'processing', 'sent', 'failed', 'cancelled'],
+        default: 'pending'
+    },
+    lockedAt: {
+        type: Date,
+        default: null
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    sentMessageId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+        default: null
+    },
+    error: {
+        type: String,
+        default: null
+    }
+}, { timestamps: true });
+
+// Dispatcher lookup of due messages
+scheduledMessageSchema.index({ status: 1, scheduledFor: 1 });
+
+module.exports = mongoose.model('ScheduledMessage', scheduledMessageSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+/**
+ * Session model - one logged in device.
+ * Holds a hash of the device's current refresh token; every refresh rotates it.
+ * Revoking a session deletes it, which invalidates its access tokens right away.
+ */
+const sessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    refreshTokenHash: {
+        type: String,
+        required: true
+    },
+    // The token this one replaced; seeing it again means the token was stolen
+    previousTokenHash: {
+        type: String,
+        default: null
+    },
+    deviceId: {
+        type: String,
+        required: true
+    },
+    deviceName: {
+        type: String,
+        default: 'Unknown device'
+    },
+    ipAddress: {
+        type: String,
+        default: null
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+sessionSchema.index({ userId: 1, deviceId: 1 });
+// Sessions whose refresh token went unused are removed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+/**
+ * UploadChunk model - one received piece of a resumable upload.
+ * Chunks are kept in the database rather than on local disk so any server
+ * instance can accept the next chunk or finalize the upload.
+ */
+const uploadChunkSchema = new mongoose.Schema({
+    uploadId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'UploadSession',
+        required: true
+    },
+    index: {
+        type: Number,
+        required: true
+    },
+    data: {
+        type: Buffer,
+        required: true
+    },
+    size: {
+        type: Number,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Sending a chunk again replaces it
+uploadChunkSchema.index({ uploadId: 1, index: 1 }, { unique: true });
+uploadChunkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UploadChunk', uploadChunkSchema);
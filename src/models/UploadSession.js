@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+/**
+ * UploadSession model - a resumable upload in progress.
+ * The file arrives as numbered chunks (see UploadChunk) and is checked against
+ * the declared size, MIME type and checksum when the client finalizes it.
+ */
+const uploadSessionSchema = new mongoose.Schema({
+    ownerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    // image | video | audio | document, as for the single request upload
+    type: {
+        type: String,
+        required: true
+    },
+    fileName: {
+        type: String,
+        default: ''
+    },
+    mimeType: {
+        type: String,
+        required: true
+    },
+    totalSize: {
+        type: Number,
+        required: true
+    },
+    chunkSize: {
+        type: Number,
+        required: true
+    },
+    totalChunks: {
+        type: Number,
+        required: true
+    },
+    // Hex SHA-256 of the whole file
+    checksum: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['uploading', 'finalizing', 'completed'],
+        default: 'uploading'
+    },
+    // What finalize returned, so a client that lost the response can ask again
+    result: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Abandoned uploads are removed; their chunks expire on their own
+uploadSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
@@ -40,8 +40,17 @@ const userSchema = new mongoose.Schema({
             type: String,
             enum: ['everyone', 'contacts', 'nobody'],
             default: 'everyone'
+        },
+        onlineVisibility: {
+            type: String,
+            enum: ['everyone', 'contacts', 'nobody'],
+            default: 'everyone'
         }
     },
+    blockedUsers: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
     theme: {
         type: String,
         enum: ['light', 'dark', 'auto'],
@@ -52,5 +61,6 @@ const userSchema = new mongoose.Schema({
 // Index for faster queries
 // userSchema.index({ phoneNumber: 1 }); // Already defined in schema path
 userSchema.index({ lastSeen: -1 });
+userSchema.index({ blockedUsers: 1 });
 
 module.exports = mongoose.model('User', userSchema);
@@ -3,11 +3,23 @@ const router = express.Router();
 const authController = require('../controllers/auth.controller');
 const authMiddleware = require('../middleware/auth.middleware');
 const upload = require('../middleware/upload');
+const rateLimit = require('../middleware/rateLimit.middleware');
 
-router.post('/send-otp', authController.sendOtp);
-router.post('/verify-otp', authController.verifyOtp);
+router.post(
+    '/send-otp',
+    rateLimit('sendOtpIp', rateLimit.byIp),
+    rateLimit('sendOtpPhone', rateLimit.byPhoneNumber),
+    authController.sendOtp
+);
+router.post('/verify-otp', rateLimit('verifyOtpIp', rateLimit.byIp), authController.verifyOtp);
+router.post('/refresh', rateLimit('refreshTokenIp', rateLimit.byIp), authController.refreshToken);
 
 // Protected routes
+router.post('/logout', authMiddleware, authController.logout);
+router.get('/sessions', authMiddleware, authController.getSessions);
+router.delete('/sessions', authMiddleware, authController.revokeAllSessions);
+router.delete('/sessions/:sessionId', authMiddleware, authController.revokeSession);
+router.get('/devices', authMiddleware, authController.getDevices);
 router.get('/profile', authMiddleware, authController.getProfile);
 router.get('/profile/:userId', authMiddleware, authController.getUserProfile);
 router.put('/profile', authMiddleware, authController.updateProfile);
@@ -1,17 +1,42 @@
 const express = require('express');
 const router = express.Router();
 const chatController = require('../controllers/chat.controller');
+const groupController = require('../controllers/group.controller');
+const scheduledController = require('../controllers/scheduled.controller');
+const uploadController = require('../controllers/upload.controller');
 const authMiddleware = require('../middleware/auth.middleware');
 const upload = require('../middleware/upload');
+const rateLimit = require('../middleware/rateLimit.middleware');
+const { MAX_UPLOAD_CHUNK_SIZE } = require('../config/storage');
 
 router.use(authMiddleware);
 
 // Message routes
-router.post('/send', chatController.sendMessage);
-router.post('/upload-media', upload.single('file'), chatController.uploadMedia);
-router.post('/forward', chatController.forwardMessage);
+router.post('/send', rateLimit('sendMessage', rateLimit.byUser), chatController.sendMessage);
+router.post('/upload-media', rateLimit('uploadMedia', rateLimit.byUser), upload.single('file'), chatController.uploadMedia);
+router.post('/forward', rateLimit('forwardMessage', rateLimit.byUser), chatController.forwardMessage);
+router.post('/location/stop', chatController.stopLiveLocation);
 router.put('/status', chatController.updateMessageStatus);
 router.post('/message/delete', chatController.deleteMessage); // Use POST for delete with body
+router.put('/message/edit', chatController.editMessage);
+router.get('/message/:messageId/history', chatController.getEditHistory);
+router.get('/message/:messageId/vcard', chatController.exportContactCard);
+router.get('/messages/search', chatController.searchMessages);
+router.get('/media/:chatId', chatController.getChatMedia);
+
+// Resumable upload routes
+const chunkBody = express.raw({ type: () => true, limit: MAX_UPLOAD_CHUNK_SIZE });
+router.post('/uploads/start', rateLimit('uploadMedia', rateLimit.byUser), uploadController.startUpload);
+router.put('/uploads/:uploadId/chunks/:index', rateLimit('uploadChunk', rateLimit.byUser), chunkBody, uploadController.uploadChunk);
+router.get('/uploads/:uploadId', uploadController.getUploadStatus);
+router.post('/uploads/:uploadId/finalize', uploadController.finalizeUpload);
+router.delete('/uploads/:uploadId', uploadController.cancelUpload);
+
+// Scheduled message routes
+router.post('/scheduled/create', scheduledController.createScheduledMessage);
+router.get('/scheduled', scheduledController.getScheduledMessages);
+router.put('/scheduled/edit', scheduledController.updateScheduledMessage);
+router.post('/scheduled/cancel', scheduledController.cancelScheduledMessage);
 
 // Reaction routes
 router.post('/reaction', chatController.addReaction);
@@ -21,11 +46,28 @@ router.delete('/reaction', chatController.removeReaction);
 router.post('/contact/save', chatController.saveContactName);
 router.post('/contact/delete', chatController.deleteContactName);
 
+// Block routes
+router.post('/block', chatController.blockUser);
+router.post('/unblock', chatController.unblockUser);
+router.get('/blocked', chatController.getBlockedUsers);
+
 // Chat routes
 // Chat Actions
 router.post('/archive', chatController.toggleArchiveChat);
 router.post('/delete', chatController.deleteChat);
 router.post('/clear', chatController.clearChat);
+router.post('/disappearing', chatController.setDisappearingTimer);
+
+// Group routes
+router.post('/group/create', groupController.createGroup);
+router.post('/group/update', groupController.updateGroup);
+router.post('/group/members/add', groupController.addMembers);
+router.post('/group/members/remove', groupController.removeMember);
+router.post('/group/admins/promote', groupController.promoteAdmin);
+router.post('/group/admins/demote', groupController.demoteAdmin);
+router.post('/group/leave', groupController.leaveGroup);
+router.get('/group/:chatId/info', groupController.getGroupInfo);
+router.get('/group/:chatId', chatController.getGroupChatHistory);
 
 router.post('/search', chatController.searchUserByPhone);
 router.post('/start', chatController.startChat);
@@ -0,0 +1,7 @@
+const express = require('express');
+const router = express.Router();
+const mediaController = require('../controllers/media.controller');
+
+router.get('/*', mediaController.serveMedia);
+
+module.exports = router;
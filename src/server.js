@@ -4,6 +4,8 @@ const http = require('http');
 const app = require('./app');
 const connectDB = require('./config/db');
 const { initSocket } = require('./socket/socket');
+const { startMessageExpiryJob } = require('./jobs/messageExpiry');
+const { startScheduledMessageJob } = require('./jobs/scheduledMessages');
 const dotenv = require('dotenv');
 // hi
 dotenv.config();
@@ -19,6 +21,12 @@ const startServer = async () => {
         // Init Socket.io
         initSocket(server);
 
+        // Remove expired disappearing messages
+        startMessageExpiryJob();
+
+        // Deliver scheduled messages that are due
+        startScheduledMessageJob();
+
         // Railway uses the PORT environment variable to route traffic.
         // It defaults to 8080 if not specified by us, but Railway sets it automatically.
         // We must listen on THIS variable, not just force 5000.
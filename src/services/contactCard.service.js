@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Contact = require('../models/Contact');
+const Chat = require('../models/Chat');
+const { isBlockedBetween } = require('../utils/privacy');
+const { parseVCards } = require('../utils/vcard');
+const { findUsersByPhone, normalizePhoneNumber } = require('../utils/phone');
+const { MAX_CONTACTS_PER_MESSAGE, MESSAGE_LINK_TEMPLATE } = require('../config/messages');
+
+const MAX_FIELD_VALUES = 10;
+
+/**
+ * Turn what a sender shares into the contact cards stored on a contact message.
+ * Each entry is one of:
+ *   { userId } - a registered user, named as the sender saved them
+ *   { vcard } - vCard 3.0/4.0 text, which may hold several cards
+ *   { name, firstName, lastName, organization, phoneNumbers, emails } - free-form details
+ * Cards with a registered phone number get that user's ID and a "message this user" link.
+ * @param {string} senderId - User sending the contacts
+ * @param {object[]} entries - Contacts from the request
+ * @returns {Promise<object>} - { cards } or { status, error }
+ */
+exports.buildContactCards = async (senderId, entries) => {
+    const cards = [];
+
+    for (const entry of entries) {
+        if (entry.userId) {
+            const card = await cardForUser(senderId, entry.userId);
+            if (!card) {
+                return { status: 404, error: 'Contact user not found' };
+            }
+            cards.push(card);
+        } else if (entry.vcard) {
+            const parsed = parseVCards(entry.vcard);
+            if (parsed.error) {
+                return { status: 400, error: parsed.error };
+            }
+            cards.push(...parsed.cards);
+        } else {
+            cards.push(entry);
+        }
+    }
+
+    if (cards.length > MAX_CONTACTS_PER_MESSAGE) {
+        return { status: 400, error: `At most ${MAX_CONTACTS_PER_MESSAGE} contacts can be sent at once` };
+    }
+
+    const cleaned = cards.map(cleanCard);
+    if (cleaned.some(card => !card.name)) {
+        return { status: 400, error: 'Each contact needs a name or a phone number' };
+    }
+
+    await linkRegisteredUsers(cleaned);
+    return { cards: cleaned };
+};
+
+// Only users the sender knows - a saved contact or someone they chat with - and
+// no one on either side of a block, so cards cannot be used to look up phone numbers
+async function cardForUser(senderId, userId) {
+    if (!mongoose.isValidObjectId(userId)) return null;
+
+    const isSelf = userId.toString() === senderId.toString();
+    const [user, saved, sharedChat, blocked] = await Promise.all([
+        User.findById(userId).select('name phoneNumber'),
+        Contact.findOne({ userId: senderId, contactUserId: userId }).select('savedName'),
+        isSelf ? null : Chat.exists({ participants: { $all: [senderId, userId] } }),
+        isSelf ? false : isBlockedBetween(senderId, userId)
+    ]);
+    if (!user || blocked) return null;
+    if (!isSelf && !saved && !sharedChat) return null;
+
+    return {
+        name: (saved && saved.savedName) || user.name || user.phoneNumber,
+        phoneNumbers: [{ number: user.phoneNumber, label: 'cell' }]
+    };
+}
+
+// Keep the stored fields only, trimmed and within size limits
+function cleanCard(card) {
+    const text = (value, maxLength) => (typeof value === 'string' ? value.trim().slice(0, maxLength) : '');
+    const label = value => text(value, 32).toLowerCase().replace(/[^a-z-]/g, '') || null;
+
+    const phoneNumbers = (Array.isArray(card.phoneNumbers) ? card.phoneNumbers : [])
+        .map(phone => (typeof phone === 'string' ? { number: phone } : phone || {}))
+        .map(phone => ({ number: text(phone.number, 64), label: label(phone.label) }))
+        .filter(phone => phone.number)
+        .slice(0, MAX_FIELD_VALUES);
+
+    const emails = (Array.isArray(card.emails) ? card.emails : [])
+        .map(email => (typeof email === 'string' ? { address: email } : email || {}))
+        .map(email => ({ address: text(email.address, 254), label: label(email.label) }))
+        .filter(email => email.address)
+        .slice(0, MAX_FIELD_VALUES);
+
+    const firstName = text(card.firstName, 128);
+    const lastName = text(card.lastName, 128);
+    const organization = text(card.organization, 256);
+    const name = text(card.name, 256) ||
+        [firstName, lastName].filter(Boolean).join(' ') ||
+        organization ||
+        (phoneNumbers[0] && phoneNumbers[0].number) ||
+        '';
+
+    return {
+        name,
+        firstName: firstName || null,
+        lastName: lastName || null,
+        organization: organization || null,
+        phoneNumbers,
+        emails,
+        userId: null,
+        messageLink: null
+    };
+}
+
+// Same phone lookup as searchUserByPhone
+async function linkRegisteredUsers(cards) {
+    const numbers = cards.flatMap(card => card.phoneNumbers.map(phone => phone.number));
+    const users = await findUsersByPhone(numbers);
+    if (users.size === 0) return;
+
+    cards.forEach(card => {
+        const user = card.phoneNumbers
+            .map(phone => users.get(normalizePhoneNumber(phone.number) || phone.number))
+            .find(Boolean);
+        if (!user) return;
+
+        card.userId = user._id;
+        card.messageLink = MESSAGE_LINK_TEMPLATE.replace('{userId}', user._id.toString());
+    });
+}
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const { getIO } = require('../socket/socket');
+const { getBlockRelations } = require('../utils/privacy');
+const { validateLocation } = require('../utils/location');
+
+/**
+ * Move a live location to a new position and pass it on to the chat.
+ * The message itself is updated in place, so no new message is created and
+ * clients that were offline see the latest position when they sync.
+ * @param {string} senderId - User sharing the location
+ * @param {string} messageId - The live_location message
+ * @param {object} position - { latitude, longitude, accuracy? }
+ * @returns {Promise<object>} - { update } with what was emitted, or { status, error }
+ */
+exports.updateLiveLocation = async (senderId, messageId, position) => {
+    if (!mongoose.isValidObjectId(messageId)) {
+        return { status: 404, error: 'Live location not found' };
+    }
+
+    const validation = validateLocation(position && {
+        latitude: position.latitude,
+        longitude: position.longitude,
+        accuracy: position.accuracy
+    });
+    if (!validation.valid) {
+        return { status: 400, error: validation.error };
+    }
+
+    const now = new Date();
+    const message = await Message.findOneAndUpdate(
+        {
+            _id: messageId,
+            senderId,
+            type: 'live_location',
+            isDeleted: false,
+            'liveLocation.stoppedAt': null,
+            'liveLocation.endsAt': { $gt: now }
+        },
+        {
+            $set: {
+                'location.latitude': position.latitude,
+                'location.longitude': position.longitude,
+                'location.accuracy': typeof position.accuracy === 'number' ? position.accuracy : null,
+                'liveLocation.lastUpdatedAt': now
+            }
+        },
+        { new: true }
+    ).select('chatId senderId deletedFor location liveLocation');
+
+    if (!message) {
+        return liveLocationMissing(senderId, messageId);
+    }
+
+    const update = {
+        messageId: message._id.toString(),
+        chatId: message.chatId.toString(),
+        senderId: senderId.toString(),
+        location: {
+            latitude: message.location.latitude,
+            longitude: message.location.longitude,
+            accuracy: message.location.accuracy
+        },
+        lastUpdatedAt: message.liveLocation.lastUpdatedAt,
+        endsAt: message.liveLocation.endsAt
+    };
+
+    await emitToViewers(message, 'liveLocationUpdated', update);
+    return { update };
+};
+
+/**
+ * Stop sharing a live location before its time runs out
+ * @param {string} senderId - User sharing the location
+ * @param {string} messageId - The live_location message
+ * @returns {Promise<object>} - { stoppedAt } or { status, error }
+ */
+exports.stopLiveLocation = async (senderId, messageId) => {
+    if (!mongoose.isValidObjectId(messageId)) {
+        return { status: 404, error: 'Live location not found' };
+    }
+
+    const now = new Date();
+    const message = await Message.findOneAndUpdate(
+        {
+            _id: messageId,
+            senderId,
+            type: 'live_location',
+            isDeleted: false,
+            'liveLocation.stoppedAt': null,
+            'liveLocation.endsAt': { $gt: now }
+        },
+        { $set: { 'liveLocation.stoppedAt': now } },
+        { new: true }
+    ).select('chatId senderId deletedFor liveLocation');
+
+    if (!message) {
+        return liveLocationMissing(senderId, messageId);
+    }
+
+    await emitToViewers(message, 'liveLocationStopped', {
+        messageId: message._id.toString(),
+        chatId: message.chatId.toString(),
+        senderId: senderId.toString(),
+        stoppedAt: now
+    });
+    return { stoppedAt: now };
+};
+
+// Tell apart a live location that is not the sender's from one that already ended
+async function liveLocationMissing(senderId, messageId) {
+    const exists = await Message.exists({ _id: messageId, senderId, type: 'live_location', isDeleted: false });
+    return exists
+        ? { status: 409, error: 'Live location has already ended' }
+        : { status: 404, error: 'Live location not found' };
+}
+
+// Everyone in the chat who can see the message, skipping users with a block
+// relation to the sender (blocks made after sharing started stop the updates)
+async function emitToViewers(message, event, payload) {
+    const chat = await Chat.findById(message.chatId).select('participants');
+    if (!chat) return;
+
+    const hidden = await getBlockRelations(message.senderId);
+    (message.deletedFor || []).forEach(id => hidden.add(id.toString()));
+
+    try {
+        chat.participants.forEach(participant => {
+            const participantId = participant.toString();
+            if (hidden.has(participantId)) return;
+            getIO().to(participantId).emit(event, payload);
+        });
+    } catch (socketError) {
+        console.error('Socket Emission Error:', socketError.message);
+    }
+}
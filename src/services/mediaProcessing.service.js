@@ -0,0 +1,252 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { execFile } = require('child_process');
+const sharp = require('sharp');
+const MediaFile = require('../models/MediaFile');
+const { storeUpload, discardUpload } = require('./storage');
+const { cleanFileName } = require('../middleware/upload.middleware');
+const {
+    THUMBNAIL_SIZE,
+    PLACEHOLDER_SIZE,
+    FFPROBE_PATH,
+    FFMPEG_PATH,
+    MEDIA_TOOL_TIMEOUT_MS,
+    PDF_PAGE_COUNT_MAX_BYTES
+} = require('../config/media');
+
+let warnedMissingTools = false;
+
+/**
+ * Store an uploaded chat media file together with what clients need to preview it
+ * without downloading it: dimensions, a thumbnail (the poster frame for videos),
+ * a blurred placeholder and the duration of audio/video. Documents keep their
+ * original name and extension, and PDFs their page count.
+ * Metadata is best effort; a file that cannot be analysed is still stored.
+ * @param {object} file - Multer file staged by the upload middleware
+ * @param {string} ownerId - Uploading user
+ * @param {string} type - image | video | audio | document
+ * @returns {Promise<object>} - { url, mimeType, size, thumbnail, placeholder, width, height, duration, fileName, extension, pageCount }
+ */
+exports.storeMediaUpload = async (file, ownerId, type) => {
+    let metadata = {};
+    let thumbnailFile = null;
+
+    try {
+        ({ metadata, thumbnailFile } = await analyse(file, type));
+    } catch (error) {
+        console.error('Media Metadata Error:', error.message);
+    }
+
+    if (type === 'document') {
+        metadata.fileName = cleanFileName(file.originalname) || null;
+        metadata.extension = path.extname(metadata.fileName || '').slice(1).toLowerCase() || null;
+    }
+
+    let stored;
+    try {
+        stored = await storeUpload(file, 'media', ownerId, metadata);
+    } catch (error) {
+        await discardUpload(thumbnailFile);
+        throw error;
+    }
+    const { key, url } = stored;
+
+    if (thumbnailFile) {
+        try {
+            const thumbnail = await storeUpload(thumbnailFile, 'media', ownerId);
+            metadata.thumbnail = thumbnail.url;
+            await MediaFile.updateOne({ key }, { $set: { thumbnail: thumbnail.url } });
+        } catch (error) {
+            console.error('Media Thumbnail Error:', error.message);
+        }
+    }
+
+    return {
+        url,
+        mimeType: file.mimetype,
+        size: file.size,
+        thumbnail: metadata.thumbnail || null,
+        placeholder: metadata.placeholder || null,
+        width: metadata.width || null,
+        height: metadata.height || null,
+        duration: metadata.duration || null,
+        fileName: metadata.fileName || null,
+        extension: metadata.extension || null,
+        pageCount: metadata.pageCount || null
+    };
+};
+
+async function analyse(file, type) {
+    if (type === 'image') {
+        return describeImage(file, file.path);
+    }
+
+    if (type === 'document') {
+        const pageCount = file.mimetype === 'application/pdf' ? await countPdfPages(file.path) : null;
+        return { metadata: { pageCount }, thumbnailFile: null };
+    }
+
+    if (type !== 'video' && type !== 'audio') {
+        return { metadata: {}, thumbnailFile: null };
+    }
+
+    const probe = await probeMedia(file.path);
+    if (!probe) {
+        return { metadata: {}, thumbnailFile: null };
+    }
+
+    const duration = parseFloat(probe.format?.duration);
+    const metadata = { duration: isNaN(duration) ? null : Math.round(duration * 10) / 10 };
+
+    if (type === 'audio') {
+        return { metadata, thumbnailFile: null };
+    }
+
+    const video = (probe.streams || []).find(stream => stream.codec_type === 'video');
+    if (!video) {
+        return { metadata, thumbnailFile: null };
+    }
+
+    metadata.width = video.width || null;
+    metadata.height = video.height || null;
+
+    // Take the poster frame a little way in to skip black lead-in frames
+    const posterPath = stagedPath(file, 'poster.jpg');
+    const seekTo = metadata.duration ? Math.min(1, metadata.duration / 2) : 0;
+    const extracted = await runTool(FFMPEG_PATH, [
+        '-v', 'error', '-ss', String(seekTo), '-i', file.path,
+        '-frames:v', '1', '-y', posterPath
+    ]);
+    if (extracted === null) {
+        return { metadata, thumbnailFile: null };
+    }
+
+    try {
+        const poster = await describeImage(file, posterPath);
+        return {
+            metadata: { ...metadata, placeholder: poster.metadata.placeholder },
+            thumbnailFile: poster.thumbnailFile
+        };
+    } finally {
+        await fs.promises.unlink(posterPath).catch(() => {});
+    }
+}
+
+// Dimensions, a JPEG thumbnail and an inline blurred placeholder of an image
+async function describeImage(file, imagePath) {
+    const info = await sharp(imagePath).metadata();
+    // EXIF orientations 5-8 are rotated by 90 degrees
+    const rotated = info.orientation >= 5;
+
+    const thumbnailPath = stagedPath(file, 'thumb.jpg');
+    const thumbnail = await sharp(imagePath)
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 70 })
+        .toFile(thumbnailPath);
+
+    const placeholder = await sharp(imagePath)
+        .rotate()
+        .resize(PLACEHOLDER_SIZE, PLACEHOLDER_SIZE, { fit: 'inside' })
+        .blur()
+        .jpeg({ quality: 50 })
+        .toBuffer();
+
+    return {
+        metadata: {
+            width: rotated ? info.height : info.width,
+            height: rotated ? info.width : info.height,
+            placeholder: `data:image/jpeg;base64,${placeholder.toString('base64')}`
+        },
+        thumbnailFile: {
+            path: thumbnailPath,
+            filename: path.basename(thumbnailPath),
+            mimetype: 'image/jpeg',
+            size: thumbnail.size
+        }
+    };
+}
+
+// Page count from the PDF page tree: the largest /Count of a /Pages node is the
+// total. PDF 1.5+ may keep the tree in compressed object streams, which are
+// inflated when the plain text has no answer. Returns null when nothing is found.
+async function countPdfPages(filePath) {
+    const { size } = await fs.promises.stat(filePath);
+    if (size > PDF_PAGE_COUNT_MAX_BYTES) return null;
+
+    const content = (await fs.promises.readFile(filePath)).toString('latin1');
+    const pageCount = pageTreeCount(content);
+    if (pageCount) return pageCount;
+
+    const inflated = [];
+    let position = 0;
+    while ((position = content.indexOf('/ObjStm', position)) !== -1) {
+        const streamAt = content.indexOf('stream', position);
+        if (streamAt === -1) break;
+        const dictionary = content.slice(content.lastIndexOf('obj', position), streamAt);
+        position = streamAt;
+        if (!dictionary.includes('/FlateDecode')) continue;
+
+        let start = streamAt + 'stream'.length;
+        if (content[start] === '\r') start++;
+        if (content[start] === '\n') start++;
+        const end = content.indexOf('endstream', start);
+        if (end === -1) break;
+        position = end;
+
+        try {
+            // Sync flush tolerates the end-of-line bytes before endstream
+            const data = Buffer.from(content.slice(start, end), 'latin1');
+            inflated.push(zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH }).toString('latin1'));
+        } catch (error) {
+            // A damaged stream just leaves the count unknown
+        }
+    }
+
+    return pageTreeCount(inflated.join('\n')) || null;
+}
+
+function pageTreeCount(content) {
+    let total = 0;
+    const pagesNodes = /<<[^<>]*\/Type\s*\/Pages\b[^<>]*>>/g;
+    let match;
+    while ((match = pagesNodes.exec(content)) !== null) {
+        const count = /\/Count\s+(\d+)/.exec(match[0]);
+        if (count) total = Math.max(total, parseInt(count[1], 10));
+    }
+    if (total) return total;
+
+    // No usable /Pages node: count the page objects themselves
+    return (content.match(/\/Type\s*\/Page(?![A-Za-z])/g) || []).length;
+}
+
+async function probeMedia(filePath) {
+    const output = await runTool(FFPROBE_PATH, [
+        '-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', filePath
+    ]);
+    return output === null ? null : JSON.parse(output);
+}
+
+// Run ffprobe/ffmpeg; resolves to null when the tool is not installed
+function runTool(command, args) {
+    return new Promise((resolve, reject) => {
+        execFile(command, args, { timeout: MEDIA_TOOL_TIMEOUT_MS, maxBuffer: 1024 * 1024 }, (error, stdout) => {
+            if (error && error.code === 'ENOENT') {
+                if (!warnedMissingTools) {
+                    warnedMissingTools = true;
+                    console.warn(`[Media] ${command} not found, audio/video metadata is disabled`);
+                }
+                return resolve(null);
+            }
+            if (error) return reject(error);
+            resolve(stdout);
+        });
+    });
+}
+
+// Generated files sit next to the staged upload: <name>-thumb.jpg, <name>-poster.jpg
+function stagedPath(file, suffix) {
+    const base = path.basename(file.filename, path.extname(file.filename));
+    return path.join(path.dirname(file.path), `${base}-${suffix}`);
+}
@@ -0,0 +1,297 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const MediaFile = require('../models/MediaFile');
+const { getIO, isUserOnline } = require('../socket/socket');
+const { validateMessage, sanitizeText, LOCATION_MESSAGE_TYPES } = require('../middleware/upload.middleware');
+const {
+    findDirectChat,
+    isParticipant,
+    isGroupAdmin,
+    buildReplyPreview,
+    REPLY_PREVIEW_POPULATE
+} = require('../utils/chatHelpers');
+const { hasBlocked } = require('../utils/privacy');
+const { cleanLocation } = require('../utils/location');
+const { normalizeMediaUrl, canUseMedia, signMediaUrls } = require('../utils/media');
+const { keyFromUrl } = require('./storage');
+const { buildContactCards } = require('./contactCard.service');
+
+/**
+ * Send a message through the full pipeline: validation, chat lookup or creation,
+ * block checks, unread counts and realtime emits.
+ * Used by the send endpoint and the scheduled message dispatcher.
+ * @param {object} data - { senderId, recipientId | chatId, text, type, media, location, liveDuration, contacts, forwardedFrom, replyTo, scheduledMessageId }
+ * @returns {Promise<object>} - { message } on success, { status, error } when rejected
+ */
+exports.sendMessage = async (data) => {
+    const {
+        senderId, recipientId, chatId, text, type = 'text', media, location, liveDuration, contacts,
+        forwardedFrom, replyTo, scheduledMessageId
+    } = data;
+
+    // Validation
+    if (!recipientId && !chatId) {
+        return { status: 400, error: 'Recipient is required' };
+    }
+
+    // Validate message data
+    const validation = validateMessage({ type, text, media, location, liveDuration, contacts });
+    if (!validation.valid) {
+        return { status: 400, error: validation.error };
+    }
+
+    // Sanitize text if present
+    const sanitizedText = text ? sanitizeText(text) : '';
+
+    // Media must be the sender's own upload or something they can already see
+    let storedMedia = null;
+    if (media) {
+        const checked = await checkMedia(senderId, media);
+        if (checked.error) {
+            return { status: checked.status, error: checked.error };
+        }
+        storedMedia = checked.media;
+    }
+
+    let contactCards = null;
+    if (type === 'contact') {
+        const built = await buildContactCards(senderId, contacts);
+        if (built.error) {
+            return { status: built.status, error: built.error };
+        }
+        contactCards = built.cards;
+    }
+
+    // Validate recipient exists
+    let recipient = null;
+    if (!chatId) {
+        recipient = await User.findById(recipientId);
+        if (!recipient) {
+            return { status: 404, error: 'Recipient not found' };
+        }
+
+        const sender = await User.findById(senderId).select('blockedUsers');
+        if (hasBlocked(sender, recipientId)) {
+            return { status: 403, error: 'Unblock this contact to send a message' };
+        }
+    }
+
+    // If the recipient blocked the sender, the message is kept for the sender only and
+    // never delivered, so the sender cannot tell they were blocked
+    const silenced = hasBlocked(recipient, senderId);
+
+    let chat;
+
+    if (chatId) {
+        chat = await Chat.findOne({ _id: chatId, isGroup: true });
+        if (!chat) {
+            return { status: 404, error: 'Group not found' };
+        }
+        if (!isParticipant(chat, senderId)) {
+            return { status: 403, error: 'You are not a member of this group' };
+        }
+        if (chat.onlyAdminsCanPost && !isGroupAdmin(chat, senderId)) {
+            return { status: 403, error: 'Only admins can send messages to this group' };
+        }
+    } else {
+        // Find or create chat
+        chat = await findDirectChat(senderId, recipientId);
+
+        if (!chat) {
+            chat = await Chat.create({
+                participants: [senderId, recipientId],
+                unreadCount: new Map(),
+                deletedBy: silenced ? [recipientId] : []
+            });
+        }
+    }
+
+    const recipientIds = silenced ? [] : chat.participants
+        .map(p => p.toString())
+        .filter(id => id !== senderId.toString());
+
+    // Quoted message must belong to the same chat and still be visible
+    if (replyTo) {
+        const quoted = mongoose.isValidObjectId(replyTo)
+            ? await Message.findOne({ _id: replyTo, chatId: chat._id }).select('isDeleted')
+            : null;
+        if (!quoted) {
+            return { status: 400, error: 'Replied message must be in the same chat' };
+        }
+        if (quoted.isDeleted) {
+            return { status: 400, error: 'Cannot reply to a deleted message' };
+        }
+    }
+
+    // Create message
+    const messageData = {
+        chatId: chat._id,
+        senderId,
+        type,
+        status: 'sent'
+    };
+
+    if (sanitizedText) messageData.text = sanitizedText;
+    if (storedMedia) messageData.media = storedMedia;
+    if (LOCATION_MESSAGE_TYPES.includes(type)) messageData.location = cleanLocation(location);
+    if (contactCards) messageData.contacts = contactCards;
+    if (type === 'live_location') {
+        const now = Date.now();
+        messageData.liveLocation = {
+            endsAt: new Date(now + liveDuration * 1000),
+            stoppedAt: null,
+            lastUpdatedAt: new Date(now)
+        };
+    }
+    if (forwardedFrom) messageData.forwardedFrom = forwardedFrom;
+    if (replyTo) messageData.replyTo = replyTo;
+    if (scheduledMessageId) messageData.scheduledMessageId = scheduledMessageId;
+    if (silenced) {
+        messageData.deletedFor = [recipientId];
+        messageData.silenced = true;
+    }
+    if (chat.disappearingDuration) {
+        messageData.expiresAt = new Date(Date.now() + chat.disappearingDuration * 1000);
+    }
+
+    const message = await Message.create(messageData);
+
+    // Populate sender info for real-time emission
+    await message.populate('senderId', 'name phoneNumber profilePicture');
+    if (replyTo) await message.populate(REPLY_PREVIEW_POPULATE);
+
+    // Quoted previews depend on who is looking at them
+    const payloadFor = (viewerId) => {
+        const payload = message.toObject();
+        delete payload.silenced;
+        if (replyTo) payload.replyTo = buildReplyPreview(message.replyTo, viewerId);
+        return signMediaUrls(payload);
+    };
+
+    // Update chat (left untouched for silenced messages so the recipient sees no change)
+    if (!silenced) {
+        chat.lastMessage = message._id;
+
+        // Unhide chat if it was hidden/deleted by any participant so it reappears
+        if (chat.deletedBy && chat.deletedBy.length > 0) {
+            chat.deletedBy = chat.deletedBy.filter(id =>
+                id.toString() !== senderId.toString() &&
+                !recipientIds.includes(id.toString())
+            );
+        }
+
+        recipientIds.forEach(id => {
+            const currentUnread = chat.unreadCount.get(id) || 0;
+            chat.unreadCount.set(id, currentUnread + 1);
+        });
+        await chat.save();
+    }
+
+    // Emit to recipients
+    try {
+        recipientIds.forEach(id => {
+            getIO().to(id).emit('newMessage', payloadFor(id));
+        });
+        // Also emit to sender for confirmation
+        getIO().to(senderId.toString()).emit('messageSent', payloadFor(senderId));
+    } catch (socketError) {
+        console.error('Socket Emission Error:', socketError.message);
+    }
+
+    // Mark as delivered right away if the recipient has a connected device;
+    // otherwise it happens when they next connect
+    if (!chat.isGroup && !silenced) {
+        try {
+            if (await isUserOnline(recipientId)) {
+                await exports.deliverPendingMessages(recipientId, { messageId: message._id });
+            }
+        } catch (error) {
+            console.error('Delivery Status Error:', error.message);
+        }
+    }
+
+    return { message: payloadFor(senderId) };
+};
+
+/**
+ * Mark messages waiting for a user as delivered and notify their senders.
+ * Without a scope, group messages keep their single shared status and are left as sent.
+ * @param {string} userId - Recipient who is now reachable
+ * @param {object} [scope] - { messageId } or { chatId } to limit what is delivered (default: every 1:1 chat)
+ * @returns {Promise<number>} - Number of messages marked delivered
+ */
+exports.deliverPendingMessages = async (userId, { messageId, chatId } = {}) => {
+    const filter = {
+        senderId: { $ne: userId },
+        status: 'sent',
+        isDeleted: false,
+        deletedFor: { $ne: userId }
+    };
+
+    if (messageId) {
+        filter._id = messageId;
+    } else if (chatId) {
+        filter.chatId = chatId;
+    } else {
+        filter.chatId = {
+            $in: await Chat.find({ participants: userId, isGroup: { $ne: true } }).distinct('_id')
+        };
+    }
+
+    const pending = await Message.find(filter).select('_id senderId').lean();
+    if (pending.length === 0) return 0;
+
+    // status: 'sent' keeps a concurrent read from being downgraded
+    await Message.updateMany(
+        { _id: { $in: pending.map(m => m._id) }, status: 'sent' },
+        { $set: { status: 'delivered' } }
+    );
+
+    try {
+        pending.forEach(message => {
+            getIO().to(message.senderId.toString()).emit('messageStatusUpdate', {
+                messageId: message._id.toString(),
+                status: 'delivered'
+            });
+        });
+    } catch (socketError) {
+        console.error('Socket Emission Error:', socketError.message);
+    }
+
+    return pending.length;
+};
+
+// Store media URLs unsigned, and only ones the sender may use
+async function checkMedia(senderId, media) {
+    const url = normalizeMediaUrl(media.url);
+    if (!url) {
+        return { status: 400, error: 'Invalid media URL' };
+    }
+
+    const thumbnail = media.thumbnail ? normalizeMediaUrl(media.thumbnail) : null;
+    if (media.thumbnail && !thumbnail) {
+        return { status: 400, error: 'Invalid thumbnail URL' };
+    }
+
+    for (const candidate of [url, thumbnail].filter(Boolean)) {
+        if (!(await canUseMedia(senderId, candidate))) {
+            return { status: 403, error: 'Media not found' };
+        }
+    }
+
+    // Details extracted on upload win over whatever the client sent
+    const file = await MediaFile.findOne({ key: keyFromUrl(url) })
+        .select('mimeType size thumbnail placeholder width height duration fileName extension pageCount')
+        .lean();
+    if (file) {
+        const { _id, ...extracted } = file;
+        Object.keys(extracted).forEach(field => {
+            if (extracted[field] === null || extracted[field] === undefined) delete extracted[field];
+        });
+        return { media: { ...media, url, thumbnail, ...extracted } };
+    }
+
+    return { media: { ...media, url, thumbnail } };
+}
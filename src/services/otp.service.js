@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const OtpCode = require('../models/OtpCode');
+const { getSmsProvider } = require('./sms');
+const {
+    OTP_LENGTH,
+    OTP_TTL_MS,
+    MAX_VERIFY_ATTEMPTS,
+    RESEND_COOLDOWN_MS,
+    MAX_SENDS_PER_WINDOW,
+    SEND_WINDOW_MS,
+    LOCKOUT_MS,
+    OTP_TEST_MODE,
+    OTP_TEST_CODE
+} = require('../config/otp');
+
+const PHONE_NUMBER_PATTERN = /^\+[1-9]\d{6,14}$/;
+
+/**
+ * Generate a login code for a phone number and send it by SMS.
+ * Enforces the resend cooldown and the per-window send limit; a number that
+ * keeps requesting codes is locked out.
+ * @param {string} phoneNumber - Number in E.164 format
+ * @returns {Promise<object>} - { expiresIn, resendAfter } in seconds, or { status, error, retryAfter }
+ */
+exports.requestOtp = async (phoneNumber) => {
+    if (!PHONE_NUMBER_PATTERN.test(phoneNumber)) {
+        return { status: 400, error: 'Phone number must be in international format, e.g. +14155550123' };
+    }
+
+    const now = Date.now();
+    const record = await OtpCode.findOne({ phoneNumber });
+
+    if (isLocked(record, now)) {
+        return lockedOut(record.lockedUntil, now);
+    }
+
+    if (record && record.lastSentAt && now - record.lastSentAt.getTime() < RESEND_COOLDOWN_MS) {
+        return {
+            status: 429,
+            error: 'Please wait before requesting another code',
+            retryAfter: secondsUntil(record.lastSentAt.getTime() + RESEND_COOLDOWN_MS, now)
+        };
+    }
+
+    const newWindow = !record || !record.windowStartedAt ||
+        now - record.windowStartedAt.getTime() >= SEND_WINDOW_MS;
+    const sendCount = newWindow ? 0 : record.sendCount;
+
+    if (sendCount >= MAX_SENDS_PER_WINDOW) {
+        const lockedUntil = new Date(now + LOCKOUT_MS);
+        await OtpCode.updateOne({ _id: record._id }, { $set: { lockedUntil, codeHash: null } });
+        return lockedOut(lockedUntil, now);
+    }
+
+    const code = OTP_TEST_MODE ? OTP_TEST_CODE : generateCode();
+    const update = {
+        codeHash: hashCode(phoneNumber, code),
+        expiresAt: new Date(now + OTP_TTL_MS),
+        attempts: 0,
+        lastSentAt: new Date(now),
+        sendCount: sendCount + 1,
+        windowStartedAt: newWindow ? new Date(now) : record.windowStartedAt,
+        lockedUntil: null
+    };
+
+    // Claim the send; of two concurrent requests for the same number only one gets through
+    let claimed = null;
+    if (record) {
+        claimed = await OtpCode.findOneAndUpdate(
+            { _id: record._id, lastSentAt: record.lastSentAt },
+            { $set: update },
+            { new: true }
+        );
+    } else {
+        try {
+            claimed = await OtpCode.create({ phoneNumber, ...update });
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+        }
+    }
+
+    if (!claimed) {
+        return {
+            status: 429,
+            error: 'A code was just sent to this number',
+            retryAfter: secondsUntil(now + RESEND_COOLDOWN_MS, now)
+        };
+    }
+
+    if (OTP_TEST_MODE) {
+        console.log(`[OTP] Test mode, no SMS sent to ${phoneNumber}`);
+    } else {
+        const provider = getSmsProvider();
+        const minutes = Math.round(OTP_TTL_MS / 60000);
+
+        try {
+            await provider.send(phoneNumber, `Your verification code is ${code}. It expires in ${minutes} minutes.`);
+        } catch (error) {
+            console.error(`OTP Send Error (${provider.name}):`, error.message);
+            // The code never arrived: drop it and let the user retry right away.
+            // The attempt still counts toward the send limit.
+            await OtpCode.updateOne(
+                { _id: claimed._id },
+                { $set: { codeHash: null, expiresAt: null, lastSentAt: record ? record.lastSentAt : null } }
+            );
+            return { status: 502, error: 'Failed to send OTP' };
+        }
+    }
+
+    return {
+        expiresIn: Math.round(OTP_TTL_MS / 1000),
+        resendAfter: Math.round(RESEND_COOLDOWN_MS / 1000)
+    };
+};
+
+/**
+ * Check a login code. Codes are single use; too many wrong guesses lock the number out.
+ * @param {string} phoneNumber - Number the code was sent to
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<object>} - { valid: true } or { status, error, retryAfter?, attemptsRemaining? }
+ */
+exports.verifyOtp = async (phoneNumber, code) => {
+    const now = Date.now();
+    const record = await OtpCode.findOne({ phoneNumber });
+
+    if (isLocked(record, now)) {
+        return lockedOut(record.lockedUntil, now);
+    }
+
+    const expired = { status: 400, error: 'Code expired or not requested. Please request a new one.' };
+    if (!record || !record.codeHash || !record.expiresAt || record.expiresAt.getTime() <= now) {
+        return expired;
+    }
+
+    // Count the guess before checking it, so parallel guesses cannot exceed the limit
+    const counted = await OtpCode.findOneAndUpdate(
+        { _id: record._id, codeHash: record.codeHash, attempts: { $lt: MAX_VERIFY_ATTEMPTS } },
+        { $inc: { attempts: 1 } },
+        { new: true }
+    );
+    if (!counted) return expired;
+
+    if (matchesHash(record.codeHash, hashCode(phoneNumber, String(code)))) {
+        // Only the request that clears the hash gets to log in
+        const consumed = await OtpCode.findOneAndUpdate(
+            { _id: record._id, codeHash: record.codeHash },
+            { $set: { codeHash: null, expiresAt: null, attempts: 0, sendCount: 0, windowStartedAt: null } }
+        );
+        return consumed ? { valid: true } : expired;
+    }
+
+    if (counted.attempts >= MAX_VERIFY_ATTEMPTS) {
+        const lockedUntil = new Date(now + LOCKOUT_MS);
+        await OtpCode.updateOne({ _id: record._id }, { $set: { codeHash: null, lockedUntil } });
+        return lockedOut(lockedUntil, now);
+    }
+
+    return {
+        status: 400,
+        error: 'Invalid OTP',
+        attemptsRemaining: MAX_VERIFY_ATTEMPTS - counted.attempts
+    };
+};
+
+function generateCode() {
+    return crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+}
+
+// Codes are short, so they are keyed with a server secret rather than just hashed
+function hashCode(phoneNumber, code) {
+    const secret = process.env.OTP_SECRET || process.env.JWT_SECRET;
+    return crypto.createHmac('sha256', secret).update(`${phoneNumber}:${code}`).digest('hex');
+}
+
+function matchesHash(expected, actual) {
+    return crypto.timingSafeEqual(Buffer.from(expected, 'hex'), Buffer.from(actual, 'hex'));
+}
+
+function isLocked(record, now) {
+    return Boolean(record && record.lockedUntil && record.lockedUntil.getTime() > now);
+}
+
+function lockedOut(lockedUntil, now) {
+    return {
+        status: 429,
+        error: 'Too many attempts. Please try again later.',
+        retryAfter: secondsUntil(lockedUntil.getTime(), now)
+    };
+}
+
+function secondsUntil(time, now) {
+    return Math.max(1, Math.ceil((time - now) / 1000));
+}
@@ -0,0 +1,41 @@
+const { RATE_LIMIT_STORE, RATE_LIMITS } = require('../../config/rateLimits');
+
+/**
+ * Counter stores. Each store exports:
+ *   name - identifier used in logs
+ *   increment(key, windowMs) - counts a hit and resolves to { count, resetAt }
+ */
+const STORES = {
+    memory: './memory.store',
+    mongo: './mongo.store'
+};
+
+let store = null;
+
+const getStore = () => {
+    if (!store) {
+        const modulePath = STORES[RATE_LIMIT_STORE];
+        if (!modulePath) {
+            throw new Error(`Unknown rate limit store: ${RATE_LIMIT_STORE}`);
+        }
+        store = require(modulePath);
+    }
+    return store;
+};
+
+/**
+ * Count a hit against a named limit
+ * @param {string} limitName - Key of RATE_LIMITS
+ * @param {string} subject - Who is limited: an IP, phone number or user ID
+ * @returns {Promise<object>} - { allowed, remaining, retryAfter } (retryAfter in seconds)
+ */
+exports.consume = async (limitName, subject) => {
+    const { max, windowMs } = RATE_LIMITS[limitName];
+    const { count, resetAt } = await getStore().increment(`${limitName}:${subject}`, windowMs);
+
+    return {
+        allowed: count <= max,
+        remaining: Math.max(0, max - count),
+        retryAfter: Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))
+    };
+};
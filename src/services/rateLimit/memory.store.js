@@ -0,0 +1,32 @@
+// How often finished windows are dropped
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
+const counters = new Map();
+
+setInterval(() => {
+    const now = Date.now();
+    counters.forEach((counter, key) => {
+        if (counter.resetAt <= now) counters.delete(key);
+    });
+}, CLEANUP_INTERVAL_MS).unref();
+
+exports.name = 'memory';
+
+/**
+ * Count one hit for a key in its current fixed window
+ * @param {string} key - Limit name and subject, e.g. "sendMessage:<userId>"
+ * @param {number} windowMs - Window length
+ * @returns {Promise<object>} - { count, resetAt } (resetAt in ms)
+ */
+exports.increment = async (key, windowMs) => {
+    const now = Date.now();
+    let counter = counters.get(key);
+
+    if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: Math.floor(now / windowMs) * windowMs + windowMs };
+        counters.set(key, counter);
+    }
+
+    counter.count += 1;
+    return { count: counter.count, resetAt: counter.resetAt };
+};
@@ -0,0 +1,31 @@
+const RateLimitCounter = require('../../models/RateLimitCounter');
+
+exports.name = 'mongo';
+
+/**
+ * Count one hit for a key in its current fixed window, shared across instances
+ * @param {string} key - Limit name and subject, e.g. "sendMessage:<userId>"
+ * @param {number} windowMs - Window length
+ * @returns {Promise<object>} - { count, resetAt } (resetAt in ms)
+ */
+exports.increment = async (key, windowMs) => {
+    const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+    const resetAt = windowStart + windowMs;
+
+    const bump = () => RateLimitCounter.findOneAndUpdate(
+        { key: `${key}:${windowStart}` },
+        { $inc: { count: 1 }, $setOnInsert: { resetAt: new Date(resetAt) } },
+        { upsert: true, new: true }
+    );
+
+    let counter;
+    try {
+        counter = await bump();
+    } catch (error) {
+        // Two instances created the window's counter at the same time; the retry updates it
+        if (error.code !== 11000) throw error;
+        counter = await bump();
+    }
+
+    return { count: counter.count, resetAt };
+};
@@ -0,0 +1,333 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const UploadSession = require('../models/UploadSession');
+const UploadChunk = require('../models/UploadChunk');
+const { validateFile, cleanFileName, ALLOWED_MIME_TYPES } = require('../middleware/upload.middleware');
+const { generateFileName, discardUpload } = require('./storage');
+const { storeMediaUpload } = require('./mediaProcessing.service');
+const { inspectUpload } = require('./uploadInspection.service');
+const {
+    UPLOAD_TEMP_DIR,
+    UPLOAD_CHUNK_SIZE,
+    MAX_UPLOAD_CHUNK_SIZE,
+    UPLOAD_SESSION_TTL_MS,
+    MAX_ACTIVE_UPLOADS
+} = require('../config/storage');
+
+const MIN_UPLOAD_CHUNK_SIZE = 64 * 1024;
+const CHECKSUM_PATTERN = /^[a-f0-9]{64}$/i;
+// A finalize that has not finished by then is assumed to have died with its server
+const FINALIZE_STALE_MS = 10 * 60 * 1000;
+
+/**
+ * Start a resumable upload
+ * @param {string} ownerId - Uploading user
+ * @param {object} details - { type, fileName, mimeType, size, checksum (hex SHA-256), chunkSize }
+ * @returns {Promise<object>} - Upload description, or { status, error }
+ */
+exports.startUpload = async (ownerId, { type, fileName, mimeType, size, checksum, chunkSize }) => {
+    if (!ALLOWED_MIME_TYPES[type]) {
+        return { status: 400, error: 'Type must be image, video, audio or document' };
+    }
+
+    if (!Number.isInteger(size) || size <= 0) {
+        return { status: 400, error: 'File size is required' };
+    }
+
+    const validation = validateFile(type, { mimetype: mimeType, size });
+    if (!validation.valid) {
+        return { status: 400, error: validation.error };
+    }
+
+    if (typeof checksum !== 'string' || !CHECKSUM_PATTERN.test(checksum)) {
+        return { status: 400, error: 'Checksum must be the hex SHA-256 of the file' };
+    }
+
+    const partSize = chunkSize === undefined ? UPLOAD_CHUNK_SIZE : chunkSize;
+    if (!Number.isInteger(partSize) || partSize < MIN_UPLOAD_CHUNK_SIZE || partSize > MAX_UPLOAD_CHUNK_SIZE) {
+        return {
+            status: 400,
+            error: `Chunk size must be between ${MIN_UPLOAD_CHUNK_SIZE} and ${MAX_UPLOAD_CHUNK_SIZE} bytes`
+        };
+    }
+
+    const active = await UploadSession.countDocuments({
+        ownerId,
+        status: { $ne: 'completed' },
+        expiresAt: { $gt: new Date() }
+    });
+    if (active >= MAX_ACTIVE_UPLOADS) {
+        return { status: 429, error: 'Too many unfinished uploads. Finish or cancel one first' };
+    }
+
+    const upload = await UploadSession.create({
+        ownerId,
+        type,
+        fileName: cleanFileName(fileName),
+        mimeType,
+        totalSize: size,
+        chunkSize: partSize,
+        totalChunks: Math.ceil(size / partSize),
+        checksum: checksum.toLowerCase(),
+        expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL_MS)
+    });
+
+    return describe(upload, []);
+};
+
+/**
+ * Store one chunk. Sending a chunk that was already received replaces it.
+ * @param {string} ownerId - Uploading user
+ * @param {string} uploadId - Upload session ID
+ * @param {number} index - Zero-based chunk number
+ * @param {Buffer} data - Chunk bytes
+ * @returns {Promise<object>} - { index, offset, size } or { status, error }
+ */
+exports.saveChunk = async (ownerId, uploadId, index, data) => {
+    const upload = await UploadSession.findOne({ _id: uploadId, ownerId });
+    if (!upload) {
+        return { status: 404, error: 'Upload not found' };
+    }
+    if (upload.status !== 'uploading') {
+        return { status: 409, error: 'Upload is already finalized' };
+    }
+
+    if (!Number.isInteger(index) || index < 0 || index >= upload.totalChunks) {
+        return { status: 400, error: `Chunk index must be between 0 and ${upload.totalChunks - 1}` };
+    }
+
+    const expectedSize = chunkLength(upload, index);
+    if (!Buffer.isBuffer(data) || data.length !== expectedSize) {
+        return { status: 400, error: `Chunk ${index} must be exactly ${expectedSize} bytes` };
+    }
+
+    const write = () => UploadChunk.updateOne(
+        { uploadId: upload._id, index },
+        { $set: { data, size: data.length, expiresAt: upload.expiresAt } },
+        { upsert: true }
+    );
+
+    try {
+        await write();
+    } catch (error) {
+        // Two copies of the same chunk raced on the upsert; the retry updates the winner
+        if (error.code !== 11000) throw error;
+        await write();
+    }
+
+    return { index, offset: index * upload.chunkSize, size: data.length };
+};
+
+/**
+ * Report which chunks of an upload have been received
+ * @param {string} ownerId - Uploading user
+ * @param {string} uploadId - Upload session ID
+ * @returns {Promise<object>} - Upload description, or { status, error }
+ */
+exports.getUploadStatus = async (ownerId, uploadId) => {
+    const upload = await UploadSession.findOne({ _id: uploadId, ownerId });
+    if (!upload) {
+        return { status: 404, error: 'Upload not found' };
+    }
+
+    const chunks = await UploadChunk.find({ uploadId: upload._id })
+        .select('index size')
+        .sort({ index: 1 })
+        .lean();
+
+    return describe(upload, chunks);
+};
+
+/**
+ * Put the chunks together, check the result against what was declared at the start
+ * and store it like a single request upload.
+ * Finalizing an upload that already completed returns the same result again.
+ * @param {string} ownerId - Uploading user
+ * @param {string} uploadId - Upload session ID
+ * @returns {Promise<object>} - { media } in the uploadMedia shape, or { status, code, error }
+ */
+exports.finalizeUpload = async (ownerId, uploadId) => {
+    const upload = await UploadSession.findOneAndUpdate(
+        {
+            _id: uploadId,
+            ownerId,
+            $or: [
+                { status: 'uploading' },
+                { status: 'finalizing', updatedAt: { $lt: new Date(Date.now() - FINALIZE_STALE_MS) } }
+            ]
+        },
+        { $set: { status: 'finalizing' } },
+        { new: true }
+    );
+
+    if (!upload) {
+        const existing = await UploadSession.findOne({ _id: uploadId, ownerId }).select('status result');
+        if (!existing) {
+            return { status: 404, error: 'Upload not found' };
+        }
+        if (existing.status === 'completed') {
+            return { media: existing.result };
+        }
+        return { status: 409, error: 'Upload is already being finalized' };
+    }
+
+    const reopen = () => UploadSession.updateOne({ _id: upload._id }, { $set: { status: 'uploading' } });
+
+    const received = await UploadChunk.find({ uploadId: upload._id }).distinct('index');
+    if (received.length < upload.totalChunks) {
+        await reopen();
+        return { status: 400, error: 'Some chunks have not been received yet' };
+    }
+
+    let file;
+    try {
+        file = await assemble(upload);
+    } catch (error) {
+        await reopen();
+        throw error;
+    }
+
+    if (file.size !== upload.totalSize) {
+        await discardUpload(file);
+        await reopen();
+        return { status: 400, error: 'Uploaded size does not match the declared size' };
+    }
+
+    const validation = validateFile(upload.type, file);
+    if (!validation.valid) {
+        await discardUpload(file);
+        await reopen();
+        return { status: 400, error: validation.error };
+    }
+
+    if (file.checksum !== upload.checksum) {
+        // There is no telling which chunk is bad, so the client starts over
+        await discardUpload(file);
+        await UploadChunk.deleteMany({ uploadId: upload._id });
+        await reopen();
+        return { status: 400, error: 'Checksum does not match. Upload the chunks again' };
+    }
+
+    let inspection;
+    try {
+        inspection = await inspectUpload(file);
+    } catch (error) {
+        await discardUpload(file);
+        await reopen();
+        throw error;
+    }
+    if (inspection.error) {
+        // The scanner being down says nothing about the file, so finalize can be retried
+        if (inspection.code === 'SCAN_UNAVAILABLE') {
+            await reopen();
+            return inspection;
+        }
+        // The content itself is refused, so there is nothing left to resume
+        await UploadChunk.deleteMany({ uploadId: upload._id });
+        await UploadSession.deleteOne({ _id: upload._id });
+        return inspection;
+    }
+
+    let media;
+    try {
+        media = { ...await storeMediaUpload(file, ownerId, upload.type), type: upload.type };
+    } catch (error) {
+        await discardUpload(file);
+        await reopen();
+        throw error;
+    }
+
+    await UploadSession.updateOne({ _id: upload._id }, { $set: { status: 'completed', result: media } });
+    await UploadChunk.deleteMany({ uploadId: upload._id });
+
+    return { media };
+};
+
+/**
+ * Cancel an unfinished upload and drop its chunks
+ * @param {string} ownerId - Uploading user
+ * @param {string} uploadId - Upload session ID
+ * @returns {Promise<object>} - {} or { status, error }
+ */
+exports.cancelUpload = async (ownerId, uploadId) => {
+    const upload = await UploadSession.findOneAndDelete({ _id: uploadId, ownerId, status: 'uploading' });
+    if (!upload) {
+        const exists = await UploadSession.exists({ _id: uploadId, ownerId });
+        return exists
+            ? { status: 409, error: 'Upload is already finalized' }
+            : { status: 404, error: 'Upload not found' };
+    }
+
+    await UploadChunk.deleteMany({ uploadId: upload._id });
+    return {};
+};
+
+// Every chunk has the agreed size except the last one
+function chunkLength(upload, index) {
+    if (index < upload.totalChunks - 1) return upload.chunkSize;
+    return upload.totalSize - upload.chunkSize * (upload.totalChunks - 1);
+}
+
+function describe(upload, chunks) {
+    const received = new Set(chunks.map(chunk => chunk.index));
+    const missingChunks = [];
+    for (let index = 0; index < upload.totalChunks; index++) {
+        if (!received.has(index)) missingChunks.push(index);
+    }
+
+    return {
+        uploadId: upload._id,
+        status: upload.status,
+        type: upload.type,
+        mimeType: upload.mimeType,
+        size: upload.totalSize,
+        chunkSize: upload.chunkSize,
+        totalChunks: upload.totalChunks,
+        receivedChunks: chunks.map(chunk => ({
+            index: chunk.index,
+            offset: chunk.index * upload.chunkSize,
+            size: chunk.size
+        })),
+        receivedBytes: chunks.reduce((total, chunk) => total + chunk.size, 0),
+        missingChunks,
+        expiresAt: upload.expiresAt
+    };
+}
+
+// Write the chunks in order to a staged file shaped like the one multer produces
+async function assemble(upload) {
+    await fs.promises.mkdir(UPLOAD_TEMP_DIR, { recursive: true });
+
+    const filename = generateFileName(upload.fileName);
+    const file = {
+        filename,
+        originalname: upload.fileName,
+        path: path.join(UPLOAD_TEMP_DIR, filename),
+        mimetype: upload.mimeType,
+        size: 0
+    };
+    const hash = crypto.createHash('sha256');
+
+    // One chunk in memory at a time
+    async function* chunks() {
+        const cursor = UploadChunk.find({ uploadId: upload._id }).sort({ index: 1 }).cursor();
+        for await (const chunk of cursor) {
+            hash.update(chunk.data);
+            file.size += chunk.data.length;
+            yield chunk.data;
+        }
+    }
+
+    try {
+        await pipeline(Readable.from(chunks()), fs.createWriteStream(file.path));
+    } catch (error) {
+        await discardUpload(file);
+        throw error;
+    }
+
+    file.checksum = hash.digest('hex');
+    return file;
+}
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const net = require('net');
+const { CLAMAV, SCAN_TIMEOUT_MS } = require('../../config/scanner');
+
+exports.name = 'clamav';
+
+// Chunks streamed to clamd; each is prefixed with its length
+const STREAM_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Scan a file with clamd using the INSTREAM command, so clamd needs no access
+ * to the upload directory
+ * @param {string} filePath - File to scan
+ * @returns {Promise<object>} - { clean, threat }
+ */
+exports.scan = (filePath) => {
+    return new Promise((resolve, reject) => {
+        const socket = CLAMAV.socketPath
+            ? net.createConnection({ path: CLAMAV.socketPath })
+            : net.createConnection({ host: CLAMAV.host, port: CLAMAV.port });
+        let reply = '';
+
+        socket.setTimeout(SCAN_TIMEOUT_MS, () => socket.destroy(new Error('ClamAV scan timed out')));
+        socket.on('data', data => { reply += data.toString(); });
+        socket.on('error', reject);
+        socket.on('close', () => {
+            try {
+                resolve(parseReply(reply));
+            } catch (error) {
+                reject(error);
+            }
+        });
+
+        socket.on('connect', () => {
+            streamFile(socket, filePath).catch(error => socket.destroy(error));
+        });
+    });
+};
+
+async function streamFile(socket, filePath) {
+    socket.write('zINSTREAM\0');
+
+    for await (const chunk of fs.createReadStream(filePath, { highWaterMark: STREAM_CHUNK_SIZE })) {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(chunk.length);
+        socket.write(length);
+        if (!socket.write(chunk)) {
+            await new Promise(resolve => socket.once('drain', resolve));
+        }
+    }
+
+    // A zero length chunk ends the stream
+    socket.write(Buffer.alloc(4));
+}
+
+// Replies look like "stream: OK" or "stream: Win.Test.EICAR_HDB-1 FOUND"
+function parseReply(reply) {
+    const text = reply.replace(/\0/g, '').trim();
+
+    const found = /^stream: (.+) FOUND$/.exec(text);
+    if (found) {
+        return { clean: false, threat: found[1] };
+    }
+    if (text === 'stream: OK') {
+        return { clean: true };
+    }
+    throw new Error(`ClamAV could not scan the file: ${text || 'no reply'}`);
+}
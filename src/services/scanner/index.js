@@ -0,0 +1,30 @@
+const { MALWARE_SCANNER } = require('../../config/scanner');
+
+/**
+ * Malware scanners. Each scanner exports:
+ *   name - identifier used in logs
+ *   scan(filePath) - resolves to { clean: true } or { clean: false, threat }, throws when the file could not be scanned
+ * Scanners are loaded on first use so unused ones need no configuration.
+ */
+const SCANNERS = {
+    local: './local.scanner',
+    clamav: './clamav.scanner'
+};
+
+let scanner = null;
+
+/**
+ * Get the scanner selected by MALWARE_SCANNER
+ * @returns {object} - Scanner ({ name, scan })
+ * @throws {Error} - If the configured scanner is unknown
+ */
+exports.getScanner = () => {
+    if (!scanner) {
+        const modulePath = SCANNERS[MALWARE_SCANNER];
+        if (!modulePath) {
+            throw new Error(`Unknown malware scanner: ${MALWARE_SCANNER}`);
+        }
+        scanner = require(modulePath);
+    }
+    return scanner;
+};
@@ -0,0 +1,28 @@
+const fs = require('fs');
+
+exports.name = 'local';
+
+// The standard antivirus test file; real scanners report it as a threat too
+const EICAR = Buffer.from('X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*');
+
+/**
+ * Stand-in for a real scanner in development and tests: only flags files that
+ * contain the EICAR test signature, so the rejection path can be exercised
+ * without running clamd.
+ * @param {string} filePath - File to scan
+ * @returns {Promise<object>} - { clean, threat }
+ */
+exports.scan = async (filePath) => {
+    let tail = Buffer.alloc(0);
+
+    for await (const chunk of fs.createReadStream(filePath)) {
+        // Keep the end of the previous chunk so a signature split across chunks is found
+        const window = Buffer.concat([tail, chunk]);
+        if (window.includes(EICAR)) {
+            return { clean: false, threat: 'Eicar-Test-Signature' };
+        }
+        tail = window.subarray(Math.max(0, window.length - EICAR.length + 1));
+    }
+
+    return { clean: true };
+};
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const { signAccessToken, generateRefreshToken, hashToken } = require('../utils/token');
+const { cleanDeviceField, describeUserAgent } = require('../utils/device');
+const { REFRESH_TOKEN_TTL_MS } = require('../config/auth');
+
+/**
+ * Start a session for a device after login. A device that logs in again
+ * replaces its previous session.
+ * @param {string} userId - User ID
+ * @param {object} device - { deviceId, deviceName, userAgent, ipAddress }
+ * @returns {Promise<object>} - { session, token, refreshToken, expiresIn }
+ */
+exports.createSession = async (userId, { deviceId, deviceName, userAgent, ipAddress } = {}) => {
+    const id = cleanDeviceField(deviceId) || crypto.randomUUID();
+
+    const previous = await Session.find({ userId, deviceId: id }).distinct('_id');
+    if (previous.length > 0) {
+        await exports.revokeSessions(userId, previous);
+    }
+
+    const session = new Session({
+        userId,
+        deviceId: id,
+        deviceName: cleanDeviceField(deviceName) || describeUserAgent(userAgent),
+        ipAddress: ipAddress || null,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+    });
+
+    const refreshToken = generateRefreshToken(session._id);
+    session.refreshTokenHash = hashToken(refreshToken);
+    await session.save();
+
+    return { session, refreshToken, ...signAccessToken(userId, session._id) };
+};
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token.
+ * A refresh token that was already rotated away means it leaked, so the session is revoked.
+ * @param {string} refreshToken - Current refresh token of the device
+ * @returns {Promise<object>} - { session, token, refreshToken, expiresIn } or { status, error }
+ */
+exports.rotateRefreshToken = async (refreshToken) => {
+    const invalid = { status: 401, error: 'Invalid refresh token' };
+
+    const [sessionId] = String(refreshToken || '').split('.');
+    if (!/^[a-f0-9]{24}$/i.test(sessionId)) return invalid;
+
+    const presentedHash = hashToken(refreshToken);
+    const nextToken = generateRefreshToken(sessionId);
+    const now = Date.now();
+
+    const session = await Session.findOneAndUpdate(
+        { _id: sessionId, refreshTokenHash: presentedHash, expiresAt: { $gt: new Date(now) } },
+        {
+            $set: {
+                refreshTokenHash: hashToken(nextToken),
+                previousTokenHash: presentedHash,
+                lastUsedAt: new Date(now),
+                expiresAt: new Date(now + REFRESH_TOKEN_TTL_MS)
+            }
+        },
+        { new: true }
+    );
+
+    if (!session) {
+        const reused = await Session.findOne({ _id: sessionId, previousTokenHash: presentedHash });
+        if (reused) {
+            console.warn(`[Auth] Refresh token reuse on session ${sessionId}, revoking it`);
+            await exports.revokeSessions(reused.userId, [reused._id]);
+        }
+        return invalid;
+    }
+
+    return { session, refreshToken: nextToken, ...signAccessToken(session.userId, session._id) };
+};
+
+/**
+ * Look up a session that is still valid
+ * @param {string} sessionId - Session ID from an access token
+ * @param {string} userId - User the token was issued to
+ * @returns {Promise<object|null>} - Session (lean) or null if revoked or expired
+ */
+exports.findActiveSession = (sessionId, userId) => {
+    return Session.findOne({ _id: sessionId, userId, expiresAt: { $gt: new Date() } })
+        .select('deviceId deviceName')
+        .lean();
+};
+
+/**
+ * List a user's active sessions
+ * @param {string} userId - User ID
+ * @returns {Promise<object[]>}
+ */
+exports.listSessions = (userId) => {
+    return Session.find({ userId, expiresAt: { $gt: new Date() } })
+        .select('deviceId deviceName ipAddress lastUsedAt createdAt expiresAt')
+        .sort({ lastUsedAt: -1 })
+        .lean();
+};
+
+/**
+ * Revoke sessions of a user and disconnect their sockets
+ * @param {string} userId - User ID
+ * @param {string[]} [sessionIds] - Sessions to revoke (default: all of them)
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+exports.revokeSessions = async (userId, sessionIds) => {
+    const filter = { userId };
+    if (sessionIds) filter._id = { $in: sessionIds };
+
+    const { deletedCount } = await Session.deleteMany(filter);
+
+    try {
+        const { disconnectSessions } = require('../socket/socket');
+        await disconnectSessions(userId, sessionIds);
+    } catch (socketError) {
+        console.error('Socket Disconnect Error:', socketError.message);
+    }
+
+    return deletedCount;
+};
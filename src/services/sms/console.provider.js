@@ -0,0 +1,17 @@
+const fs = require('fs');
+
+exports.name = 'console';
+
+/**
+ * Development provider: print the text, and append it to OTP_LOG_FILE when set
+ * @param {string} phoneNumber - Recipient
+ * @param {string} text - Message body
+ */
+exports.send = async (phoneNumber, text) => {
+    console.log(`[OTP] SMS to ${phoneNumber}: ${text}`);
+
+    if (process.env.OTP_LOG_FILE) {
+        const line = JSON.stringify({ to: phoneNumber, text, sentAt: new Date().toISOString() });
+        await fs.promises.appendFile(process.env.OTP_LOG_FILE, line + '\n');
+    }
+};
@@ -0,0 +1,33 @@
+exports.name = 'http';
+
+// Give up on a gateway that does not answer in time
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Generic HTTP SMS gateway: POSTs { to, text } as JSON to OTP_HTTP_URL.
+ * OTP_HTTP_AUTHORIZATION, when set, is sent as the Authorization header.
+ * @param {string} phoneNumber - Recipient
+ * @param {string} text - Message body
+ */
+exports.send = async (phoneNumber, text) => {
+    const url = process.env.OTP_HTTP_URL;
+    if (!url) {
+        throw new Error('OTP_HTTP_URL is required for the http OTP provider');
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.OTP_HTTP_AUTHORIZATION) {
+        headers.Authorization = process.env.OTP_HTTP_AUTHORIZATION;
+    }
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ to: phoneNumber, text }),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+        throw new Error(`SMS gateway responded with ${response.status}`);
+    }
+};
@@ -0,0 +1,31 @@
+const { OTP_PROVIDER } = require('../../config/otp');
+
+/**
+ * SMS backends. Each provider exports:
+ *   name - identifier used in logs
+ *   send(phoneNumber, text) - resolves once the gateway accepted the message, throws otherwise
+ * Providers are loaded on first use so unused ones need no configuration.
+ */
+const PROVIDERS = {
+    twilio: './twilio.provider',
+    console: './console.provider',
+    http: './http.provider'
+};
+
+let provider = null;
+
+/**
+ * Get the SMS provider selected by OTP_PROVIDER
+ * @returns {object} - Provider ({ name, send })
+ * @throws {Error} - If the configured provider is unknown
+ */
+exports.getSmsProvider = () => {
+    if (!provider) {
+        const modulePath = PROVIDERS[OTP_PROVIDER];
+        if (!modulePath) {
+            throw new Error(`Unknown OTP provider: ${OTP_PROVIDER}`);
+        }
+        provider = require(modulePath);
+    }
+    return provider;
+};
@@ -0,0 +1,22 @@
+const { client, messagingServiceSid, fromNumber } = require('../../config/twilio');
+
+exports.name = 'twilio';
+
+/**
+ * Send a text through Twilio Programmable Messaging
+ * @param {string} phoneNumber - Recipient in E.164 format
+ * @param {string} text - Message body
+ */
+exports.send = async (phoneNumber, text) => {
+    const params = { to: phoneNumber, body: text };
+
+    if (messagingServiceSid) {
+        params.messagingServiceSid = messagingServiceSid;
+    } else if (fromNumber) {
+        params.from = fromNumber;
+    } else {
+        throw new Error('TWILIO_MESSAGING_SERVICE_SID or TWILIO_FROM_NUMBER is required');
+    }
+
+    await client.messages.create(params);
+};
@@ -0,0 +1,62 @@
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const mongoose = require('mongoose');
+const { GRIDFS_BUCKET } = require('../../config/storage');
+
+exports.name = 'gridfs';
+
+let bucket = null;
+
+// Created on first use, once the database connection is open
+const getBucket = () => {
+    if (!bucket) {
+        bucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: GRIDFS_BUCKET });
+    }
+    return bucket;
+};
+
+const findLatest = async (key) => {
+    const [file] = await getBucket().find({ filename: key }).sort({ uploadDate: -1 }).limit(1).toArray();
+    return file || null;
+};
+
+/**
+ * Store a file in GridFS under its key
+ * @param {string} key - Object key, e.g. media/123.jpg
+ * @param {string} filePath - File to store
+ * @param {object} [options] - { contentType }
+ */
+exports.put = async (key, filePath, { contentType } = {}) => {
+    await pipeline(
+        fs.createReadStream(filePath),
+        getBucket().openUploadStream(key, { metadata: { contentType } })
+    );
+};
+
+/**
+ * @param {string} key - Object key
+ * @returns {Promise<object|null>} - { size, contentType } or null if missing
+ */
+exports.stat = async (key) => {
+    const file = await findLatest(key);
+    return file ? { size: file.length, contentType: file.metadata?.contentType || null } : null;
+};
+
+/**
+ * @param {string} key - Object key
+ * @param {object} [range] - { start, end } byte range, end inclusive
+ * @returns {Promise<stream.Readable>}
+ */
+exports.createReadStream = async (key, { start, end } = {}) => {
+    // GridFS ranges are end-exclusive
+    const options = start !== undefined ? { start, end: end + 1 } : {};
+    return getBucket().openDownloadStreamByName(key, options);
+};
+
+/**
+ * @param {string} key - Object key (missing objects are ignored)
+ */
+exports.remove = async (key) => {
+    const files = await getBucket().find({ filename: key }).toArray();
+    await Promise.all(files.map(file => getBucket().delete(file._id)));
+};
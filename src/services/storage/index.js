@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const { STORAGE_BACKEND } = require('../../config/storage');
+const MediaFile = require('../../models/MediaFile');
+const localStorage = require('./local.storage');
+
+/**
+ * Media storage backends. Each backend exports:
+ *   name - identifier used in logs
+ *   put(key, filePath, { contentType }) - store a file under a key
+ *   stat(key) - resolve to { size, contentType } or null when missing
+ *   createReadStream(key, { start, end }) - resolve to a readable stream (end inclusive)
+ *   remove(key) - delete an object, ignoring missing ones
+ *
+ * Keys look like "media/<name>" or "profile/<name>" and are exposed as /uploads/<key>,
+ * the URLs files had when they were served straight from disk.
+ */
+const BACKENDS = {
+    local: './local.storage',
+    s3: './s3.storage',
+    gridfs: './gridfs.storage'
+};
+
+const URL_PREFIX = '/uploads/';
+const KEY_PATTERN = /^(media|profile)\/[\w-][\w.-]*$/;
+
+let storage = null;
+
+/**
+ * Get the backend selected by STORAGE_BACKEND
+ * @returns {object} - Storage backend
+ * @throws {Error} - If the configured backend is unknown
+ */
+exports.getStorage = () => {
+    if (!storage) {
+        const modulePath = BACKENDS[STORAGE_BACKEND];
+        if (!modulePath) {
+            throw new Error(`Unknown storage backend: ${STORAGE_BACKEND}`);
+        }
+        storage = require(modulePath);
+    }
+    return storage;
+};
+
+// Files uploaded before another backend was configured are still on local disk
+const backendsToSearch = () => {
+    const primary = exports.getStorage();
+    return primary === localStorage ? [primary] : [primary, localStorage];
+};
+
+/**
+ * Move a file staged by the upload middleware into storage and record its owner
+ * @param {object} file - Multer file (path, filename, mimetype, size)
+ * @param {string} folder - media | profile
+ * @param {string} ownerId - Uploading user
+ * @param {object} [metadata] - Preview details to keep with the file (width, height, duration, ...)
+ * @returns {Promise<object>} - { key, url }
+ */
+exports.storeUpload = async (file, folder, ownerId, metadata = {}) => {
+    const key = `${folder}/${file.filename}`;
+
+    try {
+        await exports.getStorage().put(key, file.path, { contentType: file.mimetype });
+    } finally {
+        await exports.discardUpload(file);
+    }
+
+    await MediaFile.create({ ...metadata, key, ownerId, mimeType: file.mimetype, size: file.size });
+
+    return { key, url: URL_PREFIX + key };
+};
+
+/**
+ * Unique name for a new upload, keeping the original extension
+ * @param {string} originalName - File name from the client
+ * @returns {string}
+ */
+exports.generateFileName = (originalName) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    // The name becomes part of the storage key, so keep the extension to safe characters
+    const extension = path.extname(originalName || '').toLowerCase().replace(/[^\w.]/g, '');
+    return uniqueSuffix + extension;
+};
+
+/**
+ * Delete a staged upload that will not be stored
+ * @param {object} file - Multer file
+ */
+exports.discardUpload = async (file) => {
+    if (!file || !file.path) return;
+    await fs.promises.unlink(file.path).catch(() => {});
+};
+
+/**
+ * Find a stored object
+ * @param {string} key - Object key
+ * @returns {Promise<object|null>} - { size, contentType, fileName, open(range) } or null if missing
+ */
+exports.findObject = async (key) => {
+    if (!exports.isValidKey(key)) return null;
+
+    for (const backend of backendsToSearch()) {
+        const stats = await backend.stat(key);
+        if (stats) {
+            // The type checked on upload wins over whatever the backend or the key's extension says
+            const record = await MediaFile.findOne({ key }).select('mimeType fileName').lean();
+            return {
+                ...stats,
+                contentType: record?.mimeType || stats.contentType,
+                fileName: record?.fileName || null,
+                open: (range) => backend.createReadStream(key, range)
+            };
+        }
+    }
+    return null;
+};
+
+/**
+ * Delete a stored object wherever it is
+ * @param {string} key - Object key
+ */
+exports.removeObject = async (key) => {
+    if (!exports.isValidKey(key)) return;
+    await Promise.all(backendsToSearch().map(backend => backend.remove(key)));
+    await MediaFile.deleteOne({ key });
+};
+
+/**
+ * Get the object key behind a media URL
+ * @param {string} url - URL as stored on messages and profiles (/uploads/...)
+ * @returns {string|null} - Key, or null for URLs that are not ours
+ */
+exports.keyFromUrl = (url) => {
+    if (typeof url !== 'string' || !url.startsWith(URL_PREFIX)) return null;
+    // Signed URLs carry their signature in the query string
+    const key = url.slice(URL_PREFIX.length).split('?')[0];
+    return exports.isValidKey(key) ? key : null;
+};
+
+/**
+ * @param {string} key - Object key
+ * @returns {boolean}
+ */
+exports.isValidKey = (key) => typeof key === 'string' && KEY_PATTERN.test(key);
+
+/**
+ * @param {string} key - Object key
+ * @returns {string} - Unsigned URL, the form stored on messages and profiles
+ */
+exports.urlForKey = (key) => URL_PREFIX + key;
@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+const { LOCAL_UPLOADS_DIR } = require('../../config/storage');
+
+exports.name = 'local';
+
+const resolvePath = (key) => path.join(LOCAL_UPLOADS_DIR, key);
+
+/**
+ * Store a file on local disk
+ * @param {string} key - Object key, e.g. media/123.jpg
+ * @param {string} filePath - File to store
+ */
+exports.put = async (key, filePath) => {
+    const target = resolvePath(key);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.copyFile(filePath, target);
+};
+
+/**
+ * @param {string} key - Object key
+ * @returns {Promise<object|null>} - { size, contentType } or null if missing
+ */
+exports.stat = async (key) => {
+    try {
+        const stats = await fs.promises.stat(resolvePath(key));
+        return stats.isFile() ? { size: stats.size, contentType: null } : null;
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+};
+
+/**
+ * @param {string} key - Object key
+ * @param {object} [range] - { start, end } byte range, end inclusive
+ * @returns {Promise<stream.Readable>}
+ */
+exports.createReadStream = async (key, range = {}) => {
+    return fs.createReadStream(resolvePath(key), range);
+};
+
+/**
+ * @param {string} key - Object key (missing objects are ignored)
+ */
+exports.remove = async (key) => {
+    try {
+        await fs.promises.unlink(resolvePath(key));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+};
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const { S3 } = require('../../config/storage');
+
+exports.name = 's3';
+
+/**
+ * Store a file as an S3 object
+ * @param {string} key - Object key, e.g. media/123.jpg
+ * @param {string} filePath - File to store
+ * @param {object} [options] - { contentType }
+ */
+exports.put = async (key, filePath, { contentType } = {}) => {
+    const { size } = await fs.promises.stat(filePath);
+    const headers = { 'content-length': size };
+    if (contentType) headers['content-type'] = contentType;
+
+    const res = await send('PUT', key, headers, fs.createReadStream(filePath));
+    await expectStatus(res, [200], 'upload');
+    res.resume();
+};
+
+/**
+ * @param {string} key - Object key
+ * @returns {Promise<object|null>} - { size, contentType } or null if missing
+ */
+exports.stat = async (key) => {
+    const res = await send('HEAD', key);
+    res.resume();
+
+    if (res.statusCode === 404) return null;
+    await expectStatus(res, [200], 'stat');
+
+    return {
+        size: parseInt(res.headers['content-length'], 10),
+        contentType: res.headers['content-type'] || null
+    };
+};
+
+/**
+ * @param {string} key - Object key
+ * @param {object} [range] - { start, end } byte range, end inclusive
+ * @returns {Promise<stream.Readable>}
+ */
+exports.createReadStream = async (key, { start, end } = {}) => {
+    const headers = start !== undefined ? { range: `bytes=${start}-${end}` } : {};
+    const res = await send('GET', key, headers);
+    await expectStatus(res, [200, 206], 'download');
+    return res;
+};
+
+/**
+ * @param {string} key - Object key (missing objects are ignored)
+ */
+exports.remove = async (key) => {
+    const res = await send('DELETE', key);
+    await expectStatus(res, [200, 204, 404], 'delete');
+    res.resume();
+};
+
+// Send a signed request for an object and resolve with the response
+function send(method, key, headers = {}, body = null) {
+    if (!S3.bucket || !S3.accessKeyId || !S3.secretAccessKey) {
+        return Promise.reject(new Error('S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY are required'));
+    }
+
+    const endpoint = new URL(S3.endpoint);
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    const host = S3.forcePathStyle ? endpoint.host : `${S3.bucket}.${endpoint.host}`;
+    const pathname = S3.forcePathStyle ? `/${S3.bucket}/${encodedKey}` : `/${encodedKey}`;
+
+    const transport = endpoint.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+        const req = transport.request({
+            method,
+            protocol: endpoint.protocol,
+            hostname: S3.forcePathStyle ? endpoint.hostname : `${S3.bucket}.${endpoint.hostname}`,
+            port: endpoint.port,
+            path: pathname,
+            headers: signHeaders(method, pathname, { ...headers, host })
+        }, resolve);
+
+        req.on('error', reject);
+
+        if (body) {
+            body.on('error', reject);
+            body.pipe(req);
+        } else {
+            req.end();
+        }
+    });
+}
+
+// AWS Signature Version 4. The payload is not hashed so uploads can be streamed.
+function signHeaders(method, pathname, headers, now = new Date()) {
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const date = amzDate.slice(0, 8);
+
+    const all = { 'x-amz-content-sha256': 'UNSIGNED-PAYLOAD', ...headers, 'x-amz-date': amzDate };
+    const normalized = {};
+    Object.keys(all).forEach(name => {
+        normalized[name.toLowerCase()] = String(all[name]).trim();
+    });
+
+    const names = Object.keys(normalized).sort();
+    const signedHeaders = names.join(';');
+    const canonicalRequest = [
+        method,
+        pathname,
+        '',
+        names.map(name => `${name}:${normalized[name]}\n`).join(''),
+        signedHeaders,
+        normalized['x-amz-content-sha256']
+    ].join('\n');
+
+    const scope = `${date}/${S3.region}/s3/aws4_request`;
+    const stringToSign = [
+        'AWS4-HMAC-SHA256',
+        amzDate,
+        scope,
+        crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+    ].join('\n');
+
+    const signingKey = [date, S3.region, 's3', 'aws4_request']
+        .reduce((key, part) => hmac(key, part), `AWS4${S3.secretAccessKey}`);
+    const signature = hmac(signingKey, stringToSign).toString('hex');
+
+    normalized.authorization = `AWS4-HMAC-SHA256 Credential=${S3.accessKeyId}/${scope}, ` +
+        `SignedHeaders=${signedHeaders}, Signature=${signature}`;
+    return normalized;
+}
+
+function hmac(key, value) {
+    return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+// Reject unexpected responses with the service's error text
+async function expectStatus(res, expected, action) {
+    if (expected.includes(res.statusCode)) return;
+
+    let detail = '';
+    for await (const chunk of res) {
+        if (detail.length < 500) detail += chunk;
+    }
+    throw new Error(`S3 ${action} failed with ${res.statusCode}: ${detail.slice(0, 500)}`);
+}
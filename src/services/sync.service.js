@@ -0,0 +1,127 @@
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const { buildReplyPreview, REPLY_PREVIEW_POPULATE } = require('../utils/chatHelpers');
+const { parseLimit } = require('../utils/pagination');
+
+// A caught-up cursor points this far into the past so writes that were in flight
+// while the sync ran are picked up next time. Clients apply changes idempotently by _id.
+const SYNC_OVERLAP_MS = 5000;
+
+/**
+ * Collect everything that changed for a user since a sync cursor.
+ * Messages are returned in the state they are in now, so status changes, reactions
+ * and edits arrive as updated messages; deletions arrive in `deletedMessages`.
+ * Expired disappearing messages are not listed: clients drop them using expiresAt.
+ * @param {string} userId - User ID
+ * @param {string} [cursor] - Cursor from the previous sync (omit for a full sync)
+ * @param {number} [limit] - Maximum messages per page
+ * @returns {Promise<object>} - { messages, deletedMessages, chats, cursor, hasMore } or { error }
+ */
+exports.getChangesSince = async (userId, cursor, limit) => {
+    const position = parseCursor(cursor);
+    if (!position) {
+        return { error: 'Invalid sync cursor' };
+    }
+
+    const pageSize = parseLimit(limit, 100);
+    const startedAt = Date.now();
+
+    const chatIds = await Chat.find({ participants: userId }).distinct('_id');
+
+    const filter = { chatId: { $in: chatIds } };
+    if (position.id) {
+        filter.$or = [
+            { updatedAt: { $gt: position.time } },
+            { updatedAt: position.time, _id: { $gt: position.id } }
+        ];
+    } else {
+        filter.updatedAt = { $gte: position.time };
+    }
+
+    // Fetch one extra message to know whether there is another page
+    const page = await Message.find(filter)
+        .sort({ updatedAt: 1, _id: 1 })
+        .limit(pageSize + 1)
+        .populate('senderId', 'name phoneNumber profilePicture')
+        .populate('forwardedFrom', 'text type media')
+        .populate(REPLY_PREVIEW_POPULATE)
+        .select('-editHistory +silenced')
+        .lean();
+
+    const hasMore = page.length > pageSize;
+    if (hasMore) page.pop();
+
+    const messages = [];
+    const deletedMessages = [];
+
+    page.forEach(message => {
+        // The recipient of a silenced message never had it, so there is nothing to delete
+        if (message.silenced && message.senderId?._id?.toString() !== userId.toString()) return;
+
+        const deletedForMe = (message.deletedFor || []).some(id => id.toString() === userId.toString());
+
+        if (message.isDeleted || deletedForMe) {
+            deletedMessages.push({
+                messageId: message._id.toString(),
+                chatId: message.chatId.toString(),
+                deleteForEveryone: message.isDeleted
+            });
+            return;
+        }
+
+        if (message.replyTo) message.replyTo = buildReplyPreview(message.replyTo, userId);
+        delete message.deletedFor;
+        delete message.silenced;
+        messages.push(message);
+    });
+
+    // Chat-level changes are sent once per sync round, with its first page
+    const chats = position.id ? [] : await getChatChanges(userId, position.time);
+
+    let nextCursor;
+    if (hasMore) {
+        const last = page[page.length - 1];
+        nextCursor = `${last.updatedAt.getTime()}:${last._id}`;
+    } else {
+        nextCursor = String(startedAt - SYNC_OVERLAP_MS);
+    }
+
+    return { messages, deletedMessages, chats, cursor: nextCursor, hasMore };
+};
+
+// Archive/delete state, unread counts and settings of chats changed since a time
+async function getChatChanges(userId, since) {
+    const id = userId.toString();
+    const chats = await Chat.find({ participants: userId, updatedAt: { $gte: since } })
+        .select('participants lastMessage unreadCount archivedBy deletedBy isGroup groupName groupIcon groupDescription admins onlyAdminsCanPost disappearingDuration updatedAt')
+        .lean();
+
+    return chats.map(chat => ({
+        _id: chat._id,
+        participants: chat.participants,
+        lastMessage: chat.lastMessage || null,
+        unreadCount: (chat.unreadCount && chat.unreadCount[id]) || 0,
+        archived: (chat.archivedBy || []).some(u => u.toString() === id),
+        deleted: (chat.deletedBy || []).some(u => u.toString() === id),
+        isGroup: chat.isGroup || false,
+        groupName: chat.groupName,
+        groupIcon: chat.groupIcon,
+        groupDescription: chat.groupDescription,
+        admins: chat.admins,
+        onlyAdminsCanPost: chat.onlyAdminsCanPost,
+        disappearingDuration: chat.disappearingDuration || 0,
+        updatedAt: chat.updatedAt
+    }));
+}
+
+// Cursor format: "<ms>" (start of a round) or "<ms>:<messageId>" (next page)
+function parseCursor(cursor) {
+    if (cursor === undefined || cursor === null || cursor === '') {
+        return { time: new Date(0), id: null };
+    }
+
+    const match = /^(\d+)(?::([a-f0-9]{24}))?$/i.exec(String(cursor));
+    if (!match) return null;
+
+    return { time: new Date(Number(match[1])), id: match[2] || null };
+}
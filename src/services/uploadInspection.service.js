@@ -0,0 +1,74 @@
+const fs = require('fs');
+const sharp = require('sharp');
+const { detectFormat, matchesMimeType } = require('../utils/fileSignature');
+const { getScanner } = require('./scanner');
+const { discardUpload } = require('./storage');
+
+// Formats re-encoded to drop EXIF (GPS, camera, timestamps), XMP and comments.
+// GIF carries no EXIF and re-encoding would lose its palette, so it is kept as is.
+const STRIPPED_IMAGE_FORMATS = {
+    jpeg: image => image.jpeg({ quality: 90 }),
+    png: image => image.png(),
+    webp: image => image.webp({ quality: 90 })
+};
+
+/**
+ * Check a staged upload before it is stored: the content must match the declared
+ * MIME type and pass the malware scanner. Images have their metadata removed.
+ * A rejected file is deleted.
+ * @param {object} file - Staged file ({ path, mimetype, size }); size is updated if the file is rewritten
+ * @returns {Promise<object>} - {} when accepted, or { status, code, error }
+ */
+exports.inspectUpload = async (file) => {
+    const rejection = await check(file);
+    if (rejection) {
+        await discardUpload(file);
+        return rejection;
+    }
+    return {};
+};
+
+async function check(file) {
+    const format = await detectFormat(file.path);
+    if (!matchesMimeType(file.mimetype, format)) {
+        return { status: 415, code: 'FILE_TYPE_MISMATCH', error: 'File content does not match its type' };
+    }
+
+    let verdict;
+    try {
+        verdict = await getScanner().scan(file.path);
+    } catch (error) {
+        console.error('Malware Scan Error:', error.message);
+        return { status: 503, code: 'SCAN_UNAVAILABLE', error: 'File could not be checked. Try again later' };
+    }
+    if (!verdict.clean) {
+        console.warn(`[Upload] Rejected ${file.mimetype} upload: ${verdict.threat}`);
+        return { status: 422, code: 'MALWARE_DETECTED', error: 'File was rejected by the malware scanner' };
+    }
+
+    if (STRIPPED_IMAGE_FORMATS[format]) {
+        try {
+            await stripImageMetadata(file, format);
+        } catch (error) {
+            console.error('Strip Metadata Error:', error.message);
+            return { status: 422, code: 'UNREADABLE_FILE', error: 'Image could not be processed' };
+        }
+    }
+
+    return null;
+}
+
+// Rewrite the image without metadata; the EXIF orientation is applied to the pixels first
+async function stripImageMetadata(file, format) {
+    const cleanPath = `${file.path}.clean`;
+
+    try {
+        const image = sharp(file.path, { animated: true }).rotate().keepIccProfile();
+        const info = await STRIPPED_IMAGE_FORMATS[format](image).toFile(cleanPath);
+        await fs.promises.rename(cleanPath, file.path);
+        file.size = info.size;
+    } catch (error) {
+        await fs.promises.unlink(cleanPath).catch(() => {});
+        throw error;
+    }
+}
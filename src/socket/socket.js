@@ -1,8 +1,18 @@
 const socketIo = require('socket.io');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const { isBlockedBetween, getReadReceiptSenders, getPresenceForViewers } = require('../utils/privacy');
+const socketAuthMiddleware = require('../middleware/socketAuth.middleware');
+const { cleanDeviceField, describeUserAgent } = require('../utils/device');
+const { verifyAccessToken } = require('../utils/token');
+const { findActiveSession } = require('../services/session.service');
+const { consume } = require('../services/rateLimit');
+const { signMediaUrls } = require('../utils/media');
+
+// setTimeout delays above this overflow and fire immediately
+const MAX_TIMER_MS = 2147483647;
 
 let io;
-const userSockets = new Map(); // Track userId -> socketId mapping
 
 const initSocket = (server) => {
     io = socketIo(server, {
@@ -20,18 +30,36 @@ const initSocket = (server) => {
         pingInterval: 25000
     });
 
+    // Reject connections without a valid token
+    io.use(socketAuthMiddleware);
+
     io.on('connection', async (socket) => {
         console.log('New client connected:', socket.id);
-        let currentUserId = null;
+        // Identity always comes from the handshake token, never from the client
+        const currentUserId = socket.data.userId;
+        let joined = false;
+
+        // A user may be connected from several devices at once; each socket describes one
+        socket.data.deviceId = cleanDeviceField(socket.handshake.auth?.deviceId) ||
+            socket.data.sessionDeviceId || socket.id;
+        socket.data.deviceName = cleanDeviceField(socket.handshake.auth?.deviceName) ||
+            socket.data.sessionDeviceName || describeUserAgent(socket.handshake.headers['user-agent']);
+        socket.data.connectedAt = new Date();
+
+        if (socket.data.tokenExpiresAt) {
+            armTokenExpiry(socket);
+        }
+
+        // User joins their own room identified by userId.
+        // Runs automatically on connect; the `join` event is kept for older clients and takes no user ID.
+        const join = async () => {
+            if (joined) return;
+            joined = true;
 
-        // User joins their own room identified by userId
-        socket.on('join', async (userId) => {
             try {
-                currentUserId = userId.toString();
                 socket.join(currentUserId);
-                userSockets.set(currentUserId, socket.id);
 
-                // Update user online status
+                // Update user online status (idempotent when another device is already online)
                 await User.findByIdAndUpdate(currentUserId, {
                     isOnline: true,
                     lastSeen: new Date()
@@ -40,38 +68,105 @@ const initSocket = (server) => {
                 // Notify contacts that user is online
                 const user = await User.findById(currentUserId);
                 if (user) {
-                    // Get all users who have chats with this user
-                    const Chat = require('../models/Chat');
-                    const chats = await Chat.find({
-                        participants: currentUserId
-                    }).select('participants');
-
-                    const contactIds = new Set();
-                    chats.forEach(chat => {
-                        chat.participants.forEach(p => {
-                            if (p.toString() !== currentUserId) {
-                                contactIds.add(p.toString());
-                            }
-                        });
-                    });
+                    await notifyContactsOfStatus(currentUserId, true);
 
-                    contactIds.forEach(contactId => {
-                        io.to(contactId).emit('userStatusChange', {
-                            userId: currentUserId,
-                            isOnline: true
-                        });
-                    });
+                    // Messages sent while the user was offline are delivered now
+                    const { deliverPendingMessages } = require('../services/message.service');
+                    await deliverPendingMessages(currentUserId);
                 }
 
+                await notifyDevicesChanged(currentUserId);
+
                 console.log(`User ${currentUserId} active and joined room ${currentUserId}`);
             } catch (error) {
                 console.error('Join error:', error);
             }
+        };
+
+        socket.on('join', join);
+
+        // List the user's connected devices
+        socket.on('getDevices', async (callback) => {
+            if (typeof callback !== 'function') return;
+
+            try {
+                callback({ devices: await getUserDevices(currentUserId, socket.id) });
+            } catch (error) {
+                console.error('Get devices error:', error);
+                callback({ error: 'Failed to fetch devices' });
+            }
+        });
+
+        // Swap in a refreshed access token so the connection outlives the one it was opened with
+        socket.on('authenticate', async ({ token } = {}, callback) => {
+            const reply = typeof callback === 'function' ? callback : () => {};
+
+            try {
+                const decoded = verifyAccessToken(token);
+                if (decoded.userId.toString() !== currentUserId ||
+                    decoded.sessionId.toString() !== socket.data.sessionId) {
+                    return reply({ error: 'Token belongs to another session' });
+                }
+                if (!(await findActiveSession(decoded.sessionId, decoded.userId))) {
+                    return reply({ error: 'Session has been revoked' });
+                }
+
+                socket.data.tokenExpiresAt = decoded.exp ? decoded.exp * 1000 : null;
+                clearTimeout(socket.data.expiryTimer);
+                if (socket.data.tokenExpiresAt) {
+                    armTokenExpiry(socket);
+                }
+                reply({ expiresAt: socket.data.tokenExpiresAt });
+            } catch (error) {
+                reply({ error: 'Token is not valid' });
+            }
+        });
+
+        // Name the current device
+        socket.on('setDeviceName', async ({ deviceName } = {}, callback) => {
+            const name = cleanDeviceField(deviceName);
+            if (!name) {
+                if (typeof callback === 'function') callback({ error: 'Device name is required' });
+                return;
+            }
+
+            socket.data.deviceName = name;
+            if (typeof callback === 'function') callback({ deviceName: name });
+
+            try {
+                await notifyDevicesChanged(currentUserId);
+            } catch (error) {
+                console.error('Set device name error:', error);
+            }
+        });
+
+        // Offline catch-up: reply with everything that changed since the client's last cursor.
+        // Call again with the returned cursor while hasMore is true.
+        socket.on('sync', async ({ cursor, limit } = {}, callback) => {
+            if (typeof callback !== 'function') return;
+
+            try {
+                const { getChangesSince } = require('../services/sync.service');
+                callback(signMediaUrls(await getChangesSince(currentUserId, cursor, limit)));
+            } catch (error) {
+                console.error('Sync error:', error);
+                callback({ error: 'Failed to sync' });
+            }
         });
 
         // Typing indicator
-        socket.on('typing', ({ recipientId, isTyping }) => {
-            if (!currentUserId) return;
+        socket.on('typing', async (payload) => {
+            const { recipientId, isTyping } = payload || {};
+            if (!joined || !mongoose.isValidObjectId(recipientId)) return;
+
+            try {
+                // Stopping is never throttled so indicators cannot get stuck
+                if (isTyping !== false && !(await allowEvent(socket, 'typing', 'socketTyping'))) return;
+                if (await isBlockedBetween(currentUserId, recipientId)) return;
+            } catch (error) {
+                console.error('Typing error:', error);
+                return;
+            }
 
             io.to(recipientId.toString()).emit('typing', {
                 senderId: currentUserId,
@@ -80,8 +175,16 @@ const initSocket = (server) => {
         });
 
         // Stop typing indicator
-        socket.on('stopTyping', ({ recipientId }) => {
-            if (!currentUserId) return;
+        socket.on('stopTyping', async (payload) => {
+            const { recipientId } = payload || {};
+            if (!joined || !mongoose.isValidObjectId(recipientId)) return;
+
+            try {
+                if (await isBlockedBetween(currentUserId, recipientId)) return;
+            } catch (error) {
+                console.error('Typing error:', error);
+                return;
+            }
 
             io.to(recipientId.toString()).emit('typing', {
                 senderId: currentUserId,
@@ -90,21 +193,37 @@ const initSocket = (server) => {
         });
 
         // Handle message read status
-        socket.on('messageRead', async ({ messageId, senderId }) => {
-            if (!currentUserId) return;
+        socket.on('messageRead', async (payload) => {
+            const { messageId, senderId } = payload || {};
+            if (!joined || !mongoose.isValidObjectId(messageId)) return;
 
             try {
+                if (!(await allowEvent(socket, 'messageRead', 'socketMessageRead'))) return;
+
                 const Message = require('../models/Message');
+                const Chat = require('../models/Chat');
+                const { isParticipant } = require('../utils/chatHelpers');
                 const message = await Message.findById(messageId);
 
-                if (message && message.senderId.toString() === senderId) {
-                    message.status = 'read';
+                // Only another member of the chat can read a message
+                if (!message || message.senderId.toString() === currentUserId.toString()) return;
+                const chat = await Chat.findById(message.chatId).select('participants');
+                if (!chat || !isParticipant(chat, currentUserId)) return;
+
+                if (message.senderId.toString() === senderId) {
+                    // Without read receipts on both sides the sender only ever sees delivered
+                    const receiptSenders = await getReadReceiptSenders(currentUserId, [senderId]);
+                    const status = receiptSenders.has(senderId.toString()) ? 'read' : 'delivered';
+
+                    if (message.status === status || message.status === 'read') return;
+
+                    message.status = status;
                     await message.save();
 
                     // Notify original sender
                     io.to(senderId.toString()).emit('messageStatusUpdate', {
                         messageId,
-                        status: 'read'
+                        status
                     });
                 }
             } catch (error) {
@@ -112,41 +231,63 @@ const initSocket = (server) => {
             }
         });
 
+        // Live location: a new position for a live_location message the user is sharing.
+        // The message is updated in place and chat members get liveLocationUpdated
+        socket.on('liveLocationUpdate', async ({ messageId, latitude, longitude, accuracy } = {}, callback) => {
+            const reply = typeof callback === 'function' ? callback : () => {};
+            if (!joined) return reply({ error: 'Join before sharing a location' });
+
+            try {
+                if (!(await allowEvent(socket, 'liveLocationUpdate', 'socketLiveLocation'))) {
+                    return reply({ error: 'Too many location updates' });
+                }
+
+                const { updateLiveLocation } = require('../services/liveLocation.service');
+                const result = await updateLiveLocation(currentUserId, messageId, { latitude, longitude, accuracy });
+                reply(result.error ? { error: result.error } : { success: true });
+            } catch (error) {
+                console.error('Live location error:', error);
+                reply({ error: 'Failed to update location' });
+            }
+        });
+
+        // Stop sharing a live location early; chat members get liveLocationStopped
+        socket.on('stopLiveLocation', async ({ messageId } = {}, callback) => {
+            const reply = typeof callback === 'function' ? callback : () => {};
+            if (!joined) return reply({ error: 'Join before sharing a location' });
+
+            try {
+                const { stopLiveLocation } = require('../services/liveLocation.service');
+                const result = await stopLiveLocation(currentUserId, messageId);
+                reply(result.error ? { error: result.error } : { success: true, stoppedAt: result.stoppedAt });
+            } catch (error) {
+                console.error('Live location error:', error);
+                reply({ error: 'Failed to stop live location' });
+            }
+        });
+
         // Handle disconnect
         socket.on('disconnect', async () => {
             console.log('Client disconnected:', socket.id);
+            clearTimeout(socket.data.expiryTimer);
 
-            if (currentUserId) {
-                userSockets.delete(currentUserId);
-
-                // Update user offline status
+            if (joined) {
                 try {
+                    // Stay online while any other device is still connected
+                    const remaining = await io.in(currentUserId).fetchSockets();
+                    if (remaining.length > 0) {
+                        await notifyDevicesChanged(currentUserId);
+                        return;
+                    }
+
+                    // Update user offline status
                     await User.findByIdAndUpdate(currentUserId, {
                         isOnline: false,
                         lastSeen: new Date()
                     });
 
                     // Notify contacts that user is offline
-                    const Chat = require('../models/Chat');
-                    const chats = await Chat.find({
-                        participants: currentUserId
-                    }).select('participants');
-
-                    const contactIds = new Set();
-                    chats.forEach(chat => {
-                        chat.participants.forEach(p => {
-                            if (p.toString() !== currentUserId) {
-                                contactIds.add(p.toString());
-                            }
-                        });
-                    });
-
-                    contactIds.forEach(contactId => {
-                        io.to(contactId).emit('userStatusChange', {
-                            userId: currentUserId,
-                            isOnline: false
-                        });
-                    });
+                    await notifyContactsOfStatus(currentUserId, false);
                 } catch (error) {
                     console.error('Disconnect error:', error);
                 }
@@ -156,18 +297,134 @@ const initSocket = (server) => {
         // Handle reconnection
         socket.on('reconnect', async () => {
             console.log('Client reconnected:', socket.id);
-            if (currentUserId) {
+            if (joined) {
                 await User.findByIdAndUpdate(currentUserId, {
                     isOnline: true,
                     lastSeen: new Date()
                 });
             }
         });
+
+        await join();
     });
 
     return io;
 };
 
+/**
+ * List every connected device of a user (works across instances through the adapter)
+ * @param {string} userId - User ID
+ * @param {string} [currentSocketId] - Socket to flag as the caller's own device
+ * @returns {Promise<object[]>} - [{ socketId, sessionId, deviceId, deviceName, connectedAt, current }]
+ */
+const getUserDevices = async (userId, currentSocketId) => {
+    const sockets = await getIO().in(userId.toString()).fetchSockets();
+
+    return sockets.map(s => ({
+        socketId: s.id,
+        sessionId: s.data.sessionId,
+        deviceId: s.data.deviceId,
+        deviceName: s.data.deviceName,
+        connectedAt: s.data.connectedAt,
+        current: s.id === currentSocketId
+    }));
+};
+
+/**
+ * Check whether a user has at least one connected device
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>}
+ */
+const isUserOnline = async (userId) => {
+    const sockets = await getIO().in(userId.toString()).fetchSockets();
+    return sockets.length > 0;
+};
+
+/**
+ * Disconnect the sockets of revoked sessions
+ * @param {string} userId - User ID
+ * @param {string[]} [sessionIds] - Sessions to disconnect (default: every socket of the user)
+ */
+const disconnectSessions = async (userId, sessionIds) => {
+    const revoked = sessionIds ? new Set(sessionIds.map(id => id.toString())) : null;
+    const sockets = await getIO().in(userId.toString()).fetchSockets();
+
+    sockets
+        .filter(s => !revoked || revoked.has(s.data.sessionId))
+        .forEach(s => {
+            s.emit('sessionRevoked');
+            s.disconnect(true);
+        });
+};
+
+// Tell all of a user's devices that the device list changed
+const notifyDevicesChanged = async (userId) => {
+    const devices = await getUserDevices(userId);
+    io.to(userId).emit('devicesUpdated', { devices });
+};
+
+// Count a socket event against its user's rate limit; over the limit the event is
+// dropped and the client told when to retry
+const allowEvent = async (socket, event, limitName) => {
+    try {
+        const { allowed, retryAfter } = await consume(limitName, socket.data.userId);
+        if (!allowed) {
+            socket.emit('rateLimited', { event, retryAfter });
+        }
+        return allowed;
+    } catch (error) {
+        console.error('Rate Limit Error:', error.message);
+        return true;
+    }
+};
+
+// Disconnect a socket when its token expires, re-arming for delays beyond the timer limit
+const armTokenExpiry = (socket) => {
+    const remaining = socket.data.tokenExpiresAt - Date.now();
+
+    socket.data.expiryTimer = setTimeout(() => {
+        if (Date.now() < socket.data.tokenExpiresAt) {
+            armTokenExpiry(socket);
+            return;
+        }
+        socket.emit('tokenExpired');
+        socket.disconnect(true);
+    }, Math.max(0, Math.min(remaining, MAX_TIMER_MS)));
+};
+
+// Broadcast a user's online status to everyone they share a chat with,
+// as far as each of them is allowed to see it
+const notifyContactsOfStatus = async (userId, isOnline) => {
+    const Chat = require('../models/Chat');
+    const [chats, user] = await Promise.all([
+        Chat.find({ participants: userId }).select('participants'),
+        User.findById(userId).select('isOnline lastSeen privacySettings')
+    ]);
+    if (!user) return;
+
+    const contactIds = new Set();
+    chats.forEach(chat => {
+        chat.participants.forEach(p => {
+            if (p.toString() !== userId) {
+                contactIds.add(p.toString());
+            }
+        });
+    });
+
+    const presence = await getPresenceForViewers(user, [...contactIds]);
+
+    presence.forEach((visible, contactId) => {
+        // Nothing to tell viewers who can see neither
+        if (!visible.isOnline && !visible.lastSeen) return;
+
+        io.to(contactId).emit('userStatusChange', {
+            userId,
+            isOnline: isOnline && visible.isOnline,
+            lastSeen: visible.lastSeen
+        });
+    });
+};
+
 const getIO = () => {
     if (!io) {
         throw new Error('Socket.io not initialized!');
@@ -175,4 +432,4 @@ const getIO = () => {
     return io;
 };
 
-module.exports = { initSocket, getIO };
+module.exports = { initSocket, getIO, getUserDevices, isUserOnline, disconnectSessions };
@@ -0,0 +1,137 @@
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const { getIO } = require('../socket/socket');
+const { signMediaUrls } = require('./media');
+
+/**
+ * Find the 1:1 chat between two users (group chats are ignored)
+ * @param {string} userA - First user ID
+ * @param {string} userB - Second user ID
+ * @returns {Promise<object|null>} - Chat document or null
+ */
+exports.findDirectChat = (userA, userB) => {
+    return Chat.findOne({
+        participants: { $all: [userA, userB] },
+        isGroup: { $ne: true }
+    });
+};
+
+/**
+ * Check whether a user is a participant of a chat
+ * @param {object} chat - Chat document
+ * @param {string} userId - User ID
+ * @returns {boolean}
+ */
+exports.isParticipant = (chat, userId) => {
+    return chat.participants.some(p => (p._id || p).toString() === userId.toString());
+};
+
+/**
+ * Check whether a user is an admin of a group chat
+ * @param {object} chat - Chat document
+ * @param {string} userId - User ID
+ * @returns {boolean}
+ */
+exports.isGroupAdmin = (chat, userId) => {
+    return (chat.admins || []).some(a => (a._id || a).toString() === userId.toString());
+};
+
+/**
+ * Name used for a user in system message texts
+ * @param {object} user - User document (may be null for deleted users)
+ * @returns {string}
+ */
+exports.displayNameOf = (user) => {
+    if (!user) return 'Deleted User';
+    return user.name || user.phoneNumber;
+};
+
+// Fields needed to render a quoted message preview
+exports.REPLY_PREVIEW_POPULATE = {
+    path: 'replyTo',
+    select: 'senderId type text media isDeleted deletedFor',
+    populate: { path: 'senderId', select: 'name phoneNumber' }
+};
+
+/**
+ * Build a compact preview of a quoted message as seen by one viewer
+ * @param {object} quoted - Populated replyTo message (may be null if it no longer exists)
+ * @param {string} viewerId - User the preview is built for
+ * @returns {object|null} - { _id, sender, type, text, thumbnail, isDeleted }
+ */
+exports.buildReplyPreview = (quoted, viewerId) => {
+    if (!quoted) return null;
+
+    const sender = quoted.senderId
+        ? { _id: quoted.senderId._id, name: quoted.senderId.name, phoneNumber: quoted.senderId.phoneNumber }
+        : null;
+    const deletedForViewer = (quoted.deletedFor || []).some(id => id.toString() === viewerId.toString());
+
+    if (quoted.isDeleted || deletedForViewer) {
+        return { _id: quoted._id, sender, type: null, text: null, thumbnail: null, isDeleted: true };
+    }
+
+    const text = quoted.text || '';
+    const media = quoted.media || {};
+
+    return {
+        _id: quoted._id,
+        sender,
+        type: quoted.type,
+        text: text.length > 100 ? text.slice(0, 100) + '…' : text,
+        thumbnail: media.thumbnail || (quoted.type === 'image' ? media.url : null),
+        isDeleted: false
+    };
+};
+
+/**
+ * Emit a socket event to every participant of a chat
+ * @param {object} chat - Chat document (participants may be populated)
+ * @param {string} event - Event name
+ * @param {object} payload - Event payload
+ * @param {string} [excludeUserId] - Participant to skip
+ */
+exports.emitToParticipants = (chat, event, payload, excludeUserId) => {
+    const excluded = excludeUserId ? excludeUserId.toString() : null;
+    const signedPayload = signMediaUrls(payload);
+
+    try {
+        chat.participants.forEach(participant => {
+            const participantId = (participant._id || participant).toString();
+            if (participantId === excluded) return;
+            getIO().to(participantId).emit(event, signedPayload);
+        });
+    } catch (socketError) {
+        console.error('Socket Emission Error:', socketError.message);
+    }
+};
+
+/**
+ * Post a system message (e.g. "X added Y") to a chat and notify participants.
+ * Saves the chat with the new lastMessage; unread counts are not touched.
+ * @param {object} chat - Chat document
+ * @param {string} actorId - User who triggered the event
+ * @param {string} action - Event identifier (member_added, admin_promoted, ...)
+ * @param {string} text - Human readable description
+ * @param {string[]} [targetIds] - Users affected by the event
+ * @returns {Promise<object>} - Created message
+ */
+exports.createSystemMessage = async (chat, actorId, action, text, targetIds = []) => {
+    const message = await Message.create({
+        chatId: chat._id,
+        senderId: actorId,
+        type: 'system',
+        text,
+        status: 'sent',
+        systemEvent: { action, targetIds }
+    });
+
+    await message.populate('senderId', 'name phoneNumber profilePicture');
+
+    chat.lastMessage = message._id;
+    await chat.save();
+
+    exports.emitToParticipants(chat, 'newMessage', message);
+
+    return message;
+};
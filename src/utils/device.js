@@ -0,0 +1,32 @@
+const MAX_DEVICE_NAME_LENGTH = 50;
+
+/**
+ * Trim a client supplied device ID or name
+ * @param {*} value - Raw value
+ * @returns {string|null} - Cleaned value, or null if unusable
+ */
+exports.cleanDeviceField = (value) => {
+    if (!value || typeof value !== 'string') return null;
+    return value.trim().slice(0, MAX_DEVICE_NAME_LENGTH) || null;
+};
+
+/**
+ * Best-effort device label from a User-Agent header
+ * @param {string} [userAgent] - User-Agent header
+ * @returns {string} - e.g. "Chrome on Android"
+ */
+exports.describeUserAgent = (userAgent = '') => {
+    const platforms = [
+        ['iPhone', /iPhone/], ['iPad', /iPad/], ['Android', /Android/],
+        ['Windows', /Windows/], ['Mac', /Macintosh|Mac OS X/], ['Linux', /Linux/]
+    ];
+    const browsers = [
+        ['Edge', /Edg\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//], ['Safari', /Safari\//]
+    ];
+
+    const platform = platforms.find(([, pattern]) => pattern.test(userAgent));
+    const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+
+    if (!platform && !browser) return 'Unknown device';
+    return [browser?.[0], platform?.[0]].filter(Boolean).join(' on ');
+};
@@ -0,0 +1,106 @@
+const fs = require('fs');
+
+// Formats each accepted MIME type may actually contain. MP4 and QuickTime share
+// a container and phones label them loosely, so either is accepted for both.
+// Office Open XML and OpenDocument files are ZIP archives; older Office files are OLE2.
+const FORMATS_BY_MIME_TYPE = {
+    'image/jpeg': ['jpeg'],
+    'image/jpg': ['jpeg'],
+    'image/png': ['png'],
+    'image/gif': ['gif'],
+    'image/webp': ['webp'],
+    'video/mp4': ['mp4', 'quicktime'],
+    'video/quicktime': ['quicktime', 'mp4'],
+    'video/webm': ['webm'],
+    'video/ogg': ['ogg'],
+    'audio/mpeg': ['mp3'],
+    'audio/mp3': ['mp3'],
+    'audio/wav': ['wav'],
+    'audio/ogg': ['ogg'],
+    'audio/aac': ['aac', 'mp4'],
+    'audio/webm': ['webm'],
+    'application/pdf': ['pdf'],
+    'application/msword': ['ole'],
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['zip'],
+    'application/vnd.ms-excel': ['ole'],
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['zip'],
+    'application/vnd.ms-powerpoint': ['ole'],
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': ['zip'],
+    'application/vnd.oasis.opendocument.text': ['zip'],
+    'application/vnd.oasis.opendocument.spreadsheet': ['zip'],
+    'application/vnd.oasis.opendocument.presentation': ['zip'],
+    'application/rtf': ['rtf'],
+    'text/plain': ['text'],
+    'text/csv': ['text'],
+    'application/zip': ['zip'],
+    'application/x-zip-compressed': ['zip'],
+    'application/x-7z-compressed': ['7z'],
+    'application/vnd.rar': ['rar'],
+    'application/x-rar-compressed': ['rar'],
+    'application/gzip': ['gzip']
+};
+
+// Enough of the file header to recognise every format above
+const HEADER_LENGTH = 64;
+
+/**
+ * Work out a file's format from its magic bytes
+ * @param {string} filePath - File to inspect
+ * @returns {Promise<string|null>} - Format (jpeg, png, mp4, pdf, ...) or null if unrecognised
+ */
+exports.detectFormat = async (filePath) => {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const { buffer, bytesRead } = await handle.read(Buffer.alloc(HEADER_LENGTH), 0, HEADER_LENGTH, 0);
+        return formatOf(buffer.subarray(0, bytesRead));
+    } finally {
+        await handle.close();
+    }
+};
+
+/**
+ * Check whether a detected format is what a MIME type promises
+ * @param {string} mimeType - Declared MIME type
+ * @param {string|null} format - From detectFormat
+ * @returns {boolean}
+ */
+exports.matchesMimeType = (mimeType, format) => {
+    return Boolean(format) && (FORMATS_BY_MIME_TYPE[mimeType] || []).includes(format);
+};
+
+function formatOf(header) {
+    const ascii = (start, end) => header.toString('latin1', start, end);
+
+    if (header[0] === 0xFF && header[1] === 0xD8 && header[2] === 0xFF) return 'jpeg';
+    if (ascii(0, 8) === '\x89PNG\r\n\x1a\n') return 'png';
+    if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return 'gif';
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'webp';
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'wav';
+    if (ascii(0, 4) === 'OggS') return 'ogg';
+    if (header[0] === 0x1A && header[1] === 0x45 && header[2] === 0xDF && header[3] === 0xA3) return 'webm';
+
+    // ISO base media (MP4, M4A, MOV) starts with an ftyp box; old QuickTime files with other atoms
+    if (ascii(4, 8) === 'ftyp') return ascii(8, 12) === 'qt  ' ? 'quicktime' : 'mp4';
+    if (['moov', 'mdat', 'wide', 'free', 'skip'].includes(ascii(4, 8))) return 'quicktime';
+
+    if (ascii(0, 5) === '%PDF-') return 'pdf';
+    if (ascii(0, 4) === 'PK\x03\x04' || ascii(0, 4) === 'PK\x05\x06') return 'zip';
+    if (ascii(0, 8) === '\xD0\xCF\x11\xE0\xA1\xB1\x1A\xE1') return 'ole';
+    if (ascii(0, 6) === '7z\xBC\xAF\x27\x1C') return '7z';
+    if (ascii(0, 6) === 'Rar!\x1A\x07') return 'rar';
+    if (header[0] === 0x1F && header[1] === 0x8B) return 'gzip';
+    if (ascii(0, 5) === '{\\rtf') return 'rtf';
+
+    if (ascii(0, 3) === 'ID3') return 'mp3';
+    // MPEG audio frame sync: layer bits 00 are ADTS AAC, anything else is MP3
+    if (header[0] === 0xFF && (header[1] & 0xE0) === 0xE0) {
+        return (header[1] & 0x06) === 0 ? 'aac' : 'mp3';
+    }
+
+    // Plain text (TXT, CSV) has no signature; it just has no binary control bytes
+    if (header.length > 0 && !header.some(byte => byte < 0x20 && ![0x09, 0x0A, 0x0C, 0x0D].includes(byte))) {
+        return 'text';
+    }
+
+    return null;
+}
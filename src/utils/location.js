@@ -0,0 +1,48 @@
+const MAX_PLACE_NAME_LENGTH = 256;
+const MAX_ADDRESS_LENGTH = 512;
+
+/**
+ * Validate a shared position
+ * @param {object} location - { latitude, longitude, accuracy?, name?, address? }
+ * @returns {object} - { valid: boolean, error?: string }
+ */
+exports.validateLocation = (location) => {
+    if (!location || typeof location !== 'object') {
+        return { valid: false, error: 'Location is required' };
+    }
+
+    const { latitude, longitude, accuracy, name, address } = location;
+
+    if (typeof latitude !== 'number' || !(latitude >= -90 && latitude <= 90)) {
+        return { valid: false, error: 'Latitude must be a number between -90 and 90' };
+    }
+    if (typeof longitude !== 'number' || !(longitude >= -180 && longitude <= 180)) {
+        return { valid: false, error: 'Longitude must be a number between -180 and 180' };
+    }
+    if (accuracy !== undefined && accuracy !== null && (typeof accuracy !== 'number' || !(accuracy >= 0))) {
+        return { valid: false, error: 'Accuracy must be a positive number of meters' };
+    }
+    if (name !== undefined && name !== null && (typeof name !== 'string' || name.length > MAX_PLACE_NAME_LENGTH)) {
+        return { valid: false, error: `Place name must be at most ${MAX_PLACE_NAME_LENGTH} characters` };
+    }
+    if (address !== undefined && address !== null && (typeof address !== 'string' || address.length > MAX_ADDRESS_LENGTH)) {
+        return { valid: false, error: `Address must be at most ${MAX_ADDRESS_LENGTH} characters` };
+    }
+
+    return { valid: true };
+};
+
+/**
+ * Keep only the fields stored for a location
+ * @param {object} location - Validated location from a request
+ * @returns {object} - { latitude, longitude, accuracy, name, address }
+ */
+exports.cleanLocation = (location) => {
+    return {
+        latitude: location.latitude,
+        longitude: location.longitude,
+        accuracy: typeof location.accuracy === 'number' ? location.accuracy : null,
+        name: location.name ? location.name.trim() : null,
+        address: location.address ? location.address.trim() : null
+    };
+};
@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const MediaFile = require('../models/MediaFile');
+const { keyFromUrl, urlForKey, removeObject } = require('../services/storage');
+const { MEDIA_URL_TTL_SECONDS } = require('../config/storage');
+
+// Expiry times are rounded up to this step so a file keeps the same URL for a while
+// and clients can cache it
+const EXPIRY_STEP_SECONDS = 10 * 60;
+
+// Payload fields holding media URLs, signed on the way out
+const URL_FIELDS = ['profilePicture', 'groupIcon', 'thumbnail'];
+const MEDIA_URL_FIELDS = ['url', 'thumbnail'];
+
+/**
+ * Turn a stored media URL into a short-lived signed URL
+ * @param {string} url - Unsigned URL (/uploads/<key>)
+ * @returns {string} - Signed URL, or the value unchanged if it is not one of ours
+ */
+exports.signMediaUrl = (url) => {
+    const key = keyFromUrl(url);
+    if (!key) return url;
+
+    const now = Math.floor(Date.now() / 1000);
+    const expires = Math.ceil((now + MEDIA_URL_TTL_SECONDS) / EXPIRY_STEP_SECONDS) * EXPIRY_STEP_SECONDS;
+
+    return `${urlForKey(key)}?expires=${expires}&sig=${signature(key, expires)}`;
+};
+
+/**
+ * Check the signature of a media request
+ * @param {string} key - Requested object key
+ * @param {object} query - { expires, sig } from the URL
+ * @returns {object} - { valid, expires }
+ */
+exports.verifyMediaSignature = (key, { expires, sig } = {}) => {
+    const expiresAt = parseInt(expires, 10);
+    if (!expiresAt || typeof sig !== 'string' || expiresAt * 1000 <= Date.now()) {
+        return { valid: false };
+    }
+
+    const expected = Buffer.from(signature(key, expiresAt));
+    const actual = Buffer.from(sig);
+    const valid = expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+
+    return { valid, expires: expiresAt };
+};
+
+/**
+ * Sign every media URL in a response or socket payload
+ * @param {*} payload - Documents or plain data
+ * @returns {*} - Plain copy with signed URLs
+ */
+exports.signMediaUrls = (payload) => {
+    if (payload === undefined || payload === null) return payload;
+    // Serialize documents, ObjectIds and Maps the same way they would be sent
+    return signFields(JSON.parse(JSON.stringify(payload)));
+};
+
+/**
+ * Bring a client supplied media URL (possibly signed) back to its stored form
+ * @param {string} url - URL from a request
+ * @returns {string|null} - Unsigned URL, or null if it is not one of ours
+ */
+exports.normalizeMediaUrl = (url) => {
+    const key = keyFromUrl(url);
+    return key ? urlForKey(key) : null;
+};
+
+/**
+ * Check whether a user may attach a media file to a message, profile or group:
+ * they uploaded it, or it is in a message they can see
+ * @param {string} userId - User ID
+ * @param {string} url - Unsigned media URL
+ * @returns {Promise<boolean>}
+ */
+exports.canUseMedia = async (userId, url) => {
+    const key = keyFromUrl(url);
+    if (!key) return false;
+
+    if (await MediaFile.exists({ key, ownerId: userId })) return true;
+
+    const chatIds = await Chat.find({ participants: userId }).distinct('_id');
+    const visible = await Message.exists({
+        chatId: { $in: chatIds },
+        isDeleted: false,
+        deletedFor: { $ne: userId },
+        $or: [{ 'media.url': url }, { 'media.thumbnail': url }]
+    });
+    return Boolean(visible);
+};
+
+/**
+ * Validate an image URL a user wants to use as a profile picture or group icon
+ * @param {string} userId - User setting the picture
+ * @param {string} value - URL from the request (empty to remove the picture)
+ * @param {string} [currentUrl] - Picture currently set, always allowed
+ * @returns {Promise<object>} - { url } (null to remove) or { error }
+ */
+exports.checkPictureUrl = async (userId, value, currentUrl) => {
+    if (!value) return { url: null };
+
+    const url = exports.normalizeMediaUrl(value);
+    if (!url) {
+        return { error: 'Invalid image URL' };
+    }
+    if (url !== currentUrl && !(await exports.canUseMedia(userId, url))) {
+        return { error: 'Image not found' };
+    }
+
+    return { url };
+};
+
+/**
+ * Delete an uploaded media file once nothing references it any more.
+ * Forwarded messages share the original's file, so it is only removed with the last copy.
+ * @param {string} url - Media URL as stored on the message (/uploads/media/...)
+ */
+exports.removeMediaIfUnused = async (url) => {
+    const key = keyFromUrl(url);
+    if (!key || !key.startsWith('media/')) return;
+
+    const [usedByMessage, usedByChat, usedByUser] = await Promise.all([
+        Message.exists({ $or: [{ 'media.url': url }, { 'media.thumbnail': url }] }),
+        Chat.exists({ groupIcon: url }),
+        User.exists({ profilePicture: url })
+    ]);
+    if (usedByMessage || usedByChat || usedByUser) return;
+
+    try {
+        await removeObject(key);
+    } catch (error) {
+        console.error('Remove Media Error:', error.message);
+    }
+};
+
+function signature(key, expires) {
+    const secret = process.env.MEDIA_URL_SECRET || process.env.JWT_SECRET;
+    return crypto.createHmac('sha256', secret).update(`${key}:${expires}`).digest('base64url');
+}
+
+function signFields(value) {
+    if (Array.isArray(value)) {
+        return value.map(signFields);
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+
+    Object.keys(value).forEach(field => {
+        const fieldValue = value[field];
+
+        if (field === 'media' && fieldValue && typeof fieldValue === 'object') {
+            MEDIA_URL_FIELDS.forEach(name => {
+                if (typeof fieldValue[name] === 'string') {
+                    fieldValue[name] = exports.signMediaUrl(fieldValue[name]);
+                }
+            });
+        } else if (URL_FIELDS.includes(field) && typeof fieldValue === 'string') {
+            value[field] = exports.signMediaUrl(fieldValue);
+        } else {
+            value[field] = signFields(fieldValue);
+        }
+    });
+
+    return value;
+}
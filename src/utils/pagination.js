@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Parse a page size query parameter
+ * @param {string|number} value - Requested page size
+ * @param {number} [defaultLimit] - Used when value is missing or invalid
+ * @returns {number} - Page size clamped to 1..MAX_PAGE_SIZE
+ */
+exports.parseLimit = (value, defaultLimit = DEFAULT_PAGE_SIZE) => {
+    const limit = parseInt(value, 10);
+    if (!limit || limit < 1) return defaultLimit;
+    return Math.min(limit, MAX_PAGE_SIZE);
+};
+
+/**
+ * Resolve a cursor to a position in a list sorted by a date field, then _id
+ * @param {object} Model - Mongoose model the cursor IDs belong to
+ * @param {string} value - Cursor from a previous page ("<ms>:<id>"), document ID, ISO date string or epoch milliseconds
+ * @param {string} field - Date field the list is sorted by (e.g. createdAt)
+ * @param {object} [scope] - Extra filter the cursor document must match
+ * @returns {Promise<object|null>} - { time, id } (id is null for plain timestamps), or null if it cannot be resolved
+ */
+exports.resolveCursor = async (Model, value, field, scope = {}) => {
+    if (/^[a-f0-9]{24}$/i.test(value) && mongoose.isValidObjectId(value)) {
+        const doc = await Model.findOne({ _id: value, ...scope }).select(field).lean();
+        return doc && doc[field] ? { time: doc[field], id: doc._id } : null;
+    }
+
+    const compound = /^(\d+):([a-f0-9]{24})$/i.exec(value);
+    if (compound) {
+        return { time: new Date(Number(compound[1])), id: new mongoose.Types.ObjectId(compound[2]) };
+    }
+
+    const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+    return isNaN(date.getTime()) ? null : { time: date, id: null };
+};
+
+/**
+ * Build the filter for the items on one side of a cursor.
+ * Items sharing the cursor's timestamp are told apart by _id, so lists must sort by { [field], _id }.
+ * @param {string} field - Date field the list is sorted by
+ * @param {object} position - Position from resolveCursor
+ * @param {string} direction - before | after
+ * @returns {object} - Filter to merge into the query
+ */
+exports.cursorFilter = (field, position, direction) => {
+    const op = direction === 'after' ? '$gt' : '$lt';
+    if (!position.id) {
+        return { [field]: { [op]: position.time } };
+    }
+    return {
+        $or: [
+            { [field]: { [op]: position.time } },
+            { [field]: position.time, _id: { [op]: position.id } }
+        ]
+    };
+};
+
+/**
+ * Cursor pointing at a document, for use as before/after on the next request
+ * @param {object} doc - Document with the sort field and _id
+ * @param {string} field - Date field the list is sorted by
+ * @returns {string} - "<ms>:<id>"
+ */
+exports.encodeCursor = (doc, field) => `${new Date(doc[field]).getTime()}:${doc._id}`;
+
+exports.DEFAULT_PAGE_SIZE = DEFAULT_PAGE_SIZE;
+exports.MAX_PAGE_SIZE = MAX_PAGE_SIZE;
@@ -0,0 +1,54 @@
+const User = require('../models/User');
+
+/**
+ * Bring a phone number to the compact form accounts are stored in:
+ * digits with a leading +, no spaces or punctuation ("00" becomes "+")
+ * @param {string} value - Number as typed or found in a contact card
+ * @returns {string|null} - Normalized number, or null if it cannot be a phone number
+ */
+exports.normalizePhoneNumber = (value) => {
+    if (!value || typeof value !== 'string') return null;
+
+    let number = value.trim().replace(/^tel:/i, '').split(';')[0];
+    const international = number.startsWith('+') || number.startsWith('00');
+    number = number.replace(/\D/g, '');
+    if (number.startsWith('00')) number = number.slice(2);
+
+    if (number.length < 6 || number.length > 15) return null;
+    return international ? `+${number}` : number;
+};
+
+/**
+ * Find the registered users behind several phone numbers
+ * @param {string[]} phoneNumbers - Numbers in any common format
+ * @returns {Promise<Map<string, object>>} - Normalized number -> user (_id, phoneNumber)
+ */
+exports.findUsersByPhone = async (phoneNumbers) => {
+    const candidates = new Set();
+    phoneNumbers.forEach(value => {
+        if (typeof value !== 'string') return;
+        candidates.add(value.trim());
+        const normalized = exports.normalizePhoneNumber(value);
+        if (normalized) candidates.add(normalized);
+    });
+    if (candidates.size === 0) return new Map();
+
+    const users = await User.find({ phoneNumber: { $in: [...candidates] } });
+
+    const found = new Map();
+    users.forEach(user => {
+        found.set(exports.normalizePhoneNumber(user.phoneNumber) || user.phoneNumber, user);
+    });
+    return found;
+};
+
+/**
+ * Find the registered user with a phone number
+ * @param {string} phoneNumber - Number in any common format
+ * @returns {Promise<object|null>} - User document or null
+ */
+exports.findUserByPhone = async (phoneNumber) => {
+    const users = await exports.findUsersByPhone([phoneNumber]);
+    const normalized = exports.normalizePhoneNumber(phoneNumber);
+    return users.get(normalized) || users.values().next().value || null;
+};
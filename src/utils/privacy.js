@@ -0,0 +1,170 @@
+const User = require('../models/User');
+const Contact = require('../models/Contact');
+
+/**
+ * Check whether a user has blocked another user
+ * @param {object} user - User document (must include blockedUsers)
+ * @param {string} otherUserId - User that may be blocked
+ * @returns {boolean}
+ */
+exports.hasBlocked = (user, otherUserId) => {
+    if (!user || !otherUserId) return false;
+    return (user.blockedUsers || []).some(id => id.toString() === otherUserId.toString());
+};
+
+/**
+ * Check whether either of two users has blocked the other
+ * @param {string} userA - First user ID
+ * @param {string} userB - Second user ID
+ * @returns {Promise<boolean>}
+ */
+exports.isBlockedBetween = async (userA, userB) => {
+    const blocked = await User.exists({
+        $or: [
+            { _id: userA, blockedUsers: userB },
+            { _id: userB, blockedUsers: userA }
+        ]
+    });
+    return Boolean(blocked);
+};
+
+/**
+ * Get IDs of users who have blocked a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Set<string>>}
+ */
+exports.getBlockedByIds = async (userId) => {
+    const ids = await User.find({ blockedUsers: userId }).distinct('_id');
+    return new Set(ids.map(id => id.toString()));
+};
+
+/**
+ * Get IDs of every user that has a block relation with a user, in either direction
+ * @param {string} userId - User ID
+ * @returns {Promise<Set<string>>}
+ */
+exports.getBlockRelations = async (userId) => {
+    const [user, ids] = await Promise.all([
+        User.findById(userId).select('blockedUsers'),
+        exports.getBlockedByIds(userId)
+    ]);
+
+    (user?.blockedUsers || []).forEach(id => ids.add(id.toString()));
+    return ids;
+};
+
+/**
+ * Get which senders may receive read receipts from a reader.
+ * Receipts are reciprocal: they only flow when both the reader and the sender have them on.
+ * @param {string} readerId - User who read the messages
+ * @param {string[]} senderIds - Senders of the messages
+ * @returns {Promise<Set<string>>} - Sender IDs that get read receipts
+ */
+exports.getReadReceiptSenders = async (readerId, senderIds) => {
+    const ids = [...new Set(senderIds.map(id => id.toString()))];
+    const users = await User.find({ _id: { $in: [readerId, ...ids] } }).select('privacySettings.readReceipts');
+
+    const enabled = new Set(
+        users
+            .filter(u => u.privacySettings?.readReceipts !== false)
+            .map(u => u._id.toString())
+    );
+
+    if (!enabled.has(readerId.toString())) return new Set();
+    return new Set(ids.filter(id => enabled.has(id)));
+};
+
+/**
+ * Remove profile details a blocked viewer must not see.
+ * The result looks like a user with no picture, no about and hidden last seen,
+ * so the viewer cannot tell they were blocked.
+ * @param {object} profile - Plain user object
+ * @returns {object} - Stripped copy
+ */
+exports.stripBlockedProfile = (profile) => {
+    return {
+        ...profile,
+        profilePicture: null,
+        about: '',
+        lastSeen: null,
+        isOnline: false
+    };
+};
+
+/**
+ * Load what is needed to filter several users' presence for one viewer
+ * @param {string} viewerId - User looking at the profiles
+ * @param {string[]} ownerIds - Users whose presence is shown
+ * @returns {Promise<object>} - Context for applyPresencePrivacy
+ */
+exports.loadPresenceContext = async (viewerId, ownerIds) => {
+    const [contacts, blocked] = await Promise.all([
+        Contact.find({ userId: { $in: ownerIds }, contactUserId: viewerId }).select('userId'),
+        exports.getBlockRelations(viewerId)
+    ]);
+
+    return {
+        viewerId: viewerId.toString(),
+        // "Contacts" of an owner are the users the owner saved in their contacts
+        savedBy: new Set(contacts.map(c => c.userId.toString())),
+        blocked
+    };
+};
+
+/**
+ * Hide the lastSeen and online status a viewer is not allowed to see
+ * @param {object} profile - Plain user object with _id, lastSeen, isOnline and privacySettings
+ * @param {object} context - From loadPresenceContext
+ * @returns {object} - Filtered copy
+ */
+exports.applyPresencePrivacy = (profile, context) => {
+    if (!profile || !profile._id) return profile;
+
+    const ownerId = profile._id.toString();
+    if (ownerId === context.viewerId) return profile;
+
+    return {
+        ...profile,
+        ...visiblePresence(profile, {
+            blocked: context.blocked.has(ownerId),
+            isSavedContact: context.savedBy.has(ownerId)
+        })
+    };
+};
+
+/**
+ * Work out what each viewer may see of one user's presence, for broadcasts
+ * @param {object} owner - User document with lastSeen, isOnline and privacySettings
+ * @param {string[]} viewerIds - Users that would receive the update
+ * @returns {Promise<Map<string, object>>} - viewerId -> { isOnline, lastSeen }
+ */
+exports.getPresenceForViewers = async (owner, viewerIds) => {
+    const [contacts, blocked] = await Promise.all([
+        Contact.find({ userId: owner._id, contactUserId: { $in: viewerIds } }).select('contactUserId'),
+        exports.getBlockRelations(owner._id)
+    ]);
+    const saved = new Set(contacts.map(c => c.contactUserId.toString()));
+
+    const presence = new Map();
+    viewerIds.forEach(id => {
+        const viewerId = id.toString();
+        presence.set(viewerId, visiblePresence(owner, {
+            blocked: blocked.has(viewerId),
+            isSavedContact: saved.has(viewerId)
+        }));
+    });
+    return presence;
+};
+
+// The one rule behind every presence check: blocks hide everything, otherwise
+// lastSeenVisibility and onlineVisibility are applied (everyone | contacts | nobody)
+function visiblePresence(owner, { blocked, isSavedContact }) {
+    const settings = owner.privacySettings || {};
+    const allows = (visibility = 'everyone') =>
+        !blocked && (visibility === 'everyone' || (visibility === 'contacts' && isSavedContact));
+
+    return {
+        lastSeen: allows(settings.lastSeenVisibility) ? owner.lastSeen : null,
+        isOnline: allows(settings.onlineVisibility) ? Boolean(owner.isOnline) : false
+    };
+}
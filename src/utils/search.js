@@ -0,0 +1,64 @@
+/**
+ * Split a search query into lowercase terms
+ * @param {string} query - Raw search query
+ * @returns {string[]} - Unique search terms
+ */
+exports.parseSearchTerms = (query) => {
+    if (!query || typeof query !== 'string') return [];
+
+    const terms = query
+        .toLowerCase()
+        .split(/\s+/)
+        .map(term => term.replace(/^[-"']+|["']+$/g, ''))
+        .filter(Boolean);
+
+    return [...new Set(terms)];
+};
+
+/**
+ * Build a short snippet around the first matching term
+ * @param {string} text - Message text
+ * @param {string[]} terms - Search terms
+ * @param {number} [radius] - Characters of context on each side of the first match
+ * @returns {object} - { snippet, highlights: [{ start, end }] } with offsets into snippet
+ */
+exports.buildSnippet = (text, terms, radius = 60) => {
+    if (!text) return { snippet: '', highlights: [] };
+
+    const ranges = [];
+    if (terms.length > 0) {
+        // Whole-word matches, mirroring how the text index tokenizes
+        const pattern = new RegExp(
+            `(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegex).join('|')})(?![\\p{L}\\p{N}])`,
+            'giu'
+        );
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            ranges.push([match.index, match.index + match[0].length]);
+        }
+    }
+
+    if (ranges.length === 0) {
+        const snippet = text.length > radius * 2 ? text.slice(0, radius * 2) + '…' : text;
+        return { snippet, highlights: [] };
+    }
+
+    const start = Math.max(0, ranges[0][0] - radius);
+    const end = Math.min(text.length, ranges[0][1] + radius);
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+
+    return {
+        snippet: prefix + text.slice(start, end) + suffix,
+        highlights: ranges
+            .filter(([s, e]) => s >= start && e <= end)
+            .map(([s, e]) => ({
+                start: s - start + prefix.length,
+                end: e - start + prefix.length
+            }))
+    };
+};
+
+function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
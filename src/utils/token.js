@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ACCESS_TOKEN_TTL_SECONDS } = require('../config/auth');
+
+/**
+ * Issue a short-lived access token for a session
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session the token belongs to
+ * @returns {object} - { token, expiresIn } (seconds)
+ */
+exports.signAccessToken = (userId, sessionId) => {
+    const token = jwt.sign(
+        { userId: userId.toString(), sessionId: sessionId.toString() },
+        process.env.JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+    );
+    return { token, expiresIn: ACCESS_TOKEN_TTL_SECONDS };
+};
+
+/**
+ * Verify an access token issued at login or refresh
+ * @param {string} token - JWT from the client
+ * @returns {object} - Decoded payload ({ userId, sessionId, iat, exp })
+ * @throws {Error} - If the token is invalid, expired or not bound to a session
+ */
+exports.verifyAccessToken = (token) => {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!decoded.sessionId) {
+        throw new Error('Token is not bound to a session');
+    }
+    return decoded;
+};
+
+/**
+ * Create an opaque refresh token. The session ID prefix lets it be looked up
+ * without storing the token itself.
+ * @param {string} sessionId - Session ID
+ * @returns {string}
+ */
+exports.generateRefreshToken = (sessionId) => {
+    return `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+};
+
+/**
+ * Hash a refresh token for storage
+ * @param {string} token - Refresh token
+ * @returns {string}
+ */
+exports.hashToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
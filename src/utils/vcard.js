@@ -0,0 +1,198 @@
+const SUPPORTED_VERSIONS = ['3.0', '4.0'];
+
+/**
+ * Parse one or more vCards (3.0 or 4.0)
+ * @param {string} text - vCard text, possibly holding several cards
+ * @returns {object} - { cards } with { name, firstName, lastName, organization, phoneNumbers, emails }, or { error }
+ */
+exports.parseVCards = (text) => {
+    if (!text || typeof text !== 'string') {
+        return { error: 'vCard text is required' };
+    }
+
+    const cards = [];
+    let current = null;
+
+    for (const line of unfold(text)) {
+        if (!line.trim()) continue;
+
+        const property = parseLine(line);
+        if (!property) {
+            return { error: 'vCard contains an invalid line' };
+        }
+
+        if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VCARD') {
+            current = { version: null, name: '', firstName: '', lastName: '', organization: '', phoneNumbers: [], emails: [] };
+            continue;
+        }
+        if (!current) continue;
+
+        switch (property.name) {
+            case 'END':
+                if (!SUPPORTED_VERSIONS.includes(current.version)) {
+                    return { error: 'Only vCard 3.0 and 4.0 are supported' };
+                }
+                delete current.version;
+                cards.push(current);
+                current = null;
+                break;
+            case 'VERSION':
+                current.version = property.value.trim();
+                break;
+            case 'FN':
+                current.name = unescapeValue(property.value).trim();
+                break;
+            case 'N': {
+                const [lastName = '', firstName = ''] = splitComponents(property.value);
+                current.lastName = lastName.trim();
+                current.firstName = firstName.trim();
+                break;
+            }
+            case 'ORG':
+                current.organization = (splitComponents(property.value)[0] || '').trim();
+                break;
+            case 'TEL':
+                current.phoneNumbers.push({
+                    number: unescapeValue(property.value).replace(/^tel:/i, '').trim(),
+                    label: labelOf(property.params)
+                });
+                break;
+            case 'EMAIL':
+                current.emails.push({
+                    address: unescapeValue(property.value).trim(),
+                    label: labelOf(property.params)
+                });
+                break;
+        }
+    }
+
+    if (current) {
+        return { error: 'vCard is missing END:VCARD' };
+    }
+    if (cards.length === 0) {
+        return { error: 'No vCard found' };
+    }
+
+    return { cards };
+};
+
+/**
+ * Write contact cards as vCard text
+ * @param {object[]} cards - Cards as stored on contact messages
+ * @param {string} [version] - 3.0 or 4.0
+ * @returns {string}
+ */
+exports.formatVCards = (cards, version = '3.0') => {
+    return cards.map(card => {
+        const lines = [
+            'BEGIN:VCARD',
+            `VERSION:${version}`,
+            `FN:${escapeValue(card.name)}`,
+            `N:${[card.lastName, card.firstName, '', '', ''].map(part => escapeValue(part || '')).join(';')}`
+        ];
+
+        if (card.organization) lines.push(`ORG:${escapeValue(card.organization)}`);
+
+        (card.phoneNumbers || []).forEach(({ number, label }) => {
+            const type = label ? `;TYPE=${label}` : '';
+            lines.push(version === '4.0'
+                ? `TEL;VALUE=uri${type}:tel:${number.replace(/[^\d+]/g, '')}`
+                : `TEL${type.toUpperCase()}:${escapeValue(number)}`);
+        });
+
+        (card.emails || []).forEach(({ address, label }) => {
+            const type = label ? `;TYPE=${version === '4.0' ? label : label.toUpperCase()}` : '';
+            lines.push(`EMAIL${type}:${escapeValue(address)}`);
+        });
+
+        lines.push('END:VCARD');
+        return lines.map(fold).join('\r\n');
+    }).join('\r\n') + '\r\n';
+};
+
+/**
+ * @param {string} version - Requested vCard version
+ * @returns {boolean}
+ */
+exports.isSupportedVersion = (version) => SUPPORTED_VERSIONS.includes(version);
+
+// Long lines continue on the next line after a CRLF and one space
+function unfold(text) {
+    return text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+}
+
+// [group.]NAME[;param=value...]:value
+function parseLine(line) {
+    const colon = findUnquoted(line, ':');
+    if (colon === -1) return null;
+
+    const [rawName, ...rawParams] = line.slice(0, colon).split(';');
+    const name = rawName.split('.').pop().toUpperCase();
+
+    const params = {};
+    rawParams.forEach(param => {
+        const [key, value] = param.split('=');
+        // vCard 2.1 style bare types (TEL;CELL:...) are still common
+        const paramName = value === undefined ? 'TYPE' : key.toUpperCase();
+        const paramValue = (value === undefined ? key : value).replace(/"/g, '');
+        params[paramName] = (params[paramName] || []).concat(paramValue.split(','));
+    });
+
+    return { name, params, value: line.slice(colon + 1) };
+}
+
+function findUnquoted(text, character) {
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '"') quoted = !quoted;
+        if (text[i] === character && !quoted) return i;
+    }
+    return -1;
+}
+
+// The first TYPE that says what kind of number or address it is (cell, work, ...)
+function labelOf(params) {
+    const types = (params.TYPE || [])
+        .map(type => type.toLowerCase())
+        .filter(type => !['pref', 'voice', 'internet', 'x400'].includes(type));
+    return types[0] || null;
+}
+
+// Components separated by unescaped semicolons
+function splitComponents(value) {
+    return value.split(/(?<!\\);/).map(unescapeValue);
+}
+
+function unescapeValue(value) {
+    return value.replace(/\\([\\,;nN])/g, (match, character) => (character.toLowerCase() === 'n' ? '\n' : character));
+}
+
+function escapeValue(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/\n/g, '\\n')
+        .replace(/,/g, '\\,')
+        .replace(/;/g, '\\;');
+}
+
+// Lines are at most 75 octets; never split a character
+function fold(line) {
+    const parts = [];
+    let part = '';
+    let octets = 0;
+
+    for (const character of line) {
+        const size = Buffer.byteLength(character);
+        const limit = parts.length === 0 ? 75 : 74;
+        if (octets + size > limit) {
+            parts.push(part);
+            part = '';
+            octets = 0;
+        }
+        part += character;
+        octets += size;
+    }
+    parts.push(part);
+
+    return parts.join('\r\n ');
+}